@@ -0,0 +1,52 @@
+import { buildDisclosureId, createDisclosure } from '../../scripts/disclosure.js';
+
+export default function decorate(block) {
+  // each row is an item, its label followed by its panel
+  const items = [...block.children].map((row, i) => {
+    const [label, content] = row.children;
+    const id = buildDisclosureId(label.textContent, `accordion-item-${i + 1}`);
+
+    const heading = document.createElement('h3');
+    heading.className = 'accordion-heading';
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'accordion-button';
+    button.id = `${id}-button`;
+    button.setAttribute('aria-controls', id);
+    button.innerHTML = label.querySelector('p') ? label.querySelector('p').innerHTML : label.innerHTML;
+    heading.append(button);
+
+    const panel = content || document.createElement('div');
+    panel.className = 'accordion-panel';
+    panel.id = id;
+    panel.setAttribute('role', 'region');
+    panel.setAttribute('aria-labelledby', button.id);
+
+    row.className = 'accordion-item';
+    row.replaceChildren(heading, panel);
+    return { id, control: button, panel };
+  });
+
+  const disclosure = createDisclosure(items, {
+    multiple: !block.classList.contains('single'),
+    onChange: ({ control }, open) => control.closest('.accordion-item').classList.toggle('open', open),
+  });
+
+  items.forEach((item) => {
+    item.control.addEventListener('click', () => disclosure.toggle(item));
+  });
+
+  block.addEventListener('keydown', (e) => {
+    const index = items.findIndex(({ control }) => control === e.target);
+    if (index < 0) return;
+    const keys = {
+      ArrowUp: index - 1,
+      ArrowDown: index + 1,
+      Home: 0,
+      End: items.length - 1,
+    };
+    if (!(e.key in keys)) return;
+    e.preventDefault();
+    items[(keys[e.key] + items.length) % items.length].control.focus();
+  });
+}
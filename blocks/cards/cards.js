@@ -1,6 +1,157 @@
-import { createOptimizedPicture } from '../../scripts/aem.js';
+import { createOptimizedPicture, readBlockConfig, toClassName } from '../../scripts/aem.js';
+import { fetchPlaceholders } from '../../scripts/placeholders.js';
+import queryIndex from '../../scripts/query-index.js';
+
+// config of cards filled from an index, used when the block has a `source` row
+const dynamicConfigSchema = {
+  source: { type: 'url', required: true },
+  sheet: { type: 'string' },
+  path: { type: 'url' },
+  tags: { type: 'list' },
+  template: { type: 'string' },
+  sort: { type: 'string', enum: ['newest', 'oldest', 'title'], default: 'newest' },
+  limit: {
+    type: 'number',
+    min: 1,
+    max: 100,
+    default: 6,
+  },
+  'load-more': { type: 'boolean', default: true },
+  empty: { type: 'string' },
+};
+
+/**
+ * Reads a list value of an index entry, either a JSON array or comma separated.
+ * @param {string} value The index value
+ * @returns {Array<string>} The list items as class names
+ */
+function parseList(value) {
+  if (!value) return [];
+  let items;
+  try {
+    items = JSON.parse(value);
+  } catch (e) {
+    items = value.split(',');
+  }
+  return (Array.isArray(items) ? items : [items]).map((item) => toClassName(`${item}`));
+}
+
+const sorters = {
+  newest: (a, b) => Number(b.lastModified || 0) - Number(a.lastModified || 0),
+  oldest: (a, b) => Number(a.lastModified || 0) - Number(b.lastModified || 0),
+  title: (a, b) => (a.title || '').localeCompare(b.title || ''),
+};
+
+/**
+ * Builds a card for an index entry.
+ * @param {object} entry The index entry
+ * @returns {Element} The card list item
+ */
+function buildCard(entry) {
+  const li = document.createElement('li');
+  if (entry.image) {
+    const image = document.createElement('div');
+    image.className = 'cards-card-image';
+    image.append(createOptimizedPicture(entry.image, entry.title || '', false, [{ width: '750' }]));
+    li.append(image);
+  }
+  const body = document.createElement('div');
+  body.className = 'cards-card-body';
+  const title = document.createElement('p');
+  const strong = document.createElement('strong');
+  const link = document.createElement('a');
+  link.href = entry.path;
+  link.textContent = entry.title || entry.path;
+  strong.append(link);
+  title.append(strong);
+  body.append(title);
+  if (entry.description) {
+    const description = document.createElement('p');
+    description.textContent = entry.description;
+    body.append(description);
+  }
+  li.append(body);
+  return li;
+}
+
+/**
+ * Fills the block with cards from an index query, one page at a time.
+ * @param {Element} block The cards block
+ */
+async function decorateDynamic(block) {
+  const config = readBlockConfig(block, dynamicConfigSchema);
+  const placeholders = await fetchPlaceholders();
+  block.classList.add('cards-dynamic');
+  const ul = document.createElement('ul');
+  block.replaceChildren(ul);
+  if (!config.source) return;
+
+  const path = config.path ? new URL(config.path).pathname.replace(/\/$/, '') : '';
+  const tags = (config.tags || []).map(toClassName);
+  const template = toClassName(config.template);
+  let query = queryIndex(config.source);
+  if (config.sheet) query = query.sheet(config.sheet);
+  query = query
+    .filter((entry) => entry.path
+      && (entry.path === path || entry.path.startsWith(`${path}/`)))
+    .filter((entry) => !template || toClassName(entry.template) === template)
+    .filter((entry) => !tags.length || parseList(entry.tags).some((tag) => tags.includes(tag)))
+    .sort(sorters[config.sort]);
+
+  const more = document.createElement('p');
+  more.className = 'button-container cards-more';
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'secondary';
+  button.textContent = placeholders.loadMore || 'Load more';
+  more.append(button);
+
+  let offset = 0;
+  const loadPage = async () => {
+    button.disabled = true;
+    ul.setAttribute('aria-busy', 'true');
+    // one extra entry tells whether there is a next page
+    const entries = await query.slice(offset, offset + config.limit + 1).all();
+    ul.append(...entries.slice(0, config.limit).map(buildCard));
+    offset += config.limit;
+    ul.removeAttribute('aria-busy');
+    button.disabled = false;
+    more.hidden = !config.loadMore || entries.length <= config.limit;
+    if (!ul.children.length) {
+      const empty = document.createElement('p');
+      empty.className = 'cards-empty';
+      empty.textContent = config.empty || placeholders.noResults || 'No results found.';
+      block.replaceChildren(empty);
+    }
+  };
+  button.addEventListener('click', async () => {
+    try {
+      await loadPage();
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error('failed to load more cards from index', error);
+      // keep the loaded cards and let visitors try again
+      ul.removeAttribute('aria-busy');
+      button.disabled = false;
+    }
+  });
+  block.append(more);
+  try {
+    await loadPage();
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('failed to load cards from index', error);
+    block.replaceChildren();
+  }
+}
+
+export default async function decorate(block) {
+  const firstCell = block.querySelector(':scope > div > div');
+  if (firstCell && toClassName(firstCell.textContent) === 'source') {
+    await decorateDynamic(block);
+    return;
+  }
 
-export default function decorate(block) {
   /* change to ul, li */
   const ul = document.createElement('ul');
   [...block.children].forEach((row) => {
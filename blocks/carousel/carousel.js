@@ -0,0 +1,254 @@
+import { fetchPlaceholders } from '../../scripts/placeholders.js';
+
+// time each slide shows when rotating automatically
+const AUTOPLAY_INTERVAL = 5000;
+
+// carousel labels, overridden by the placeholders of the same keys
+const labels = {
+  carousel: 'Carousel',
+  slide: 'Slide',
+  slideOf: 'of',
+  previousSlide: 'Previous slide',
+  nextSlide: 'Next slide',
+  showSlide: 'Show slide',
+  startRotation: 'Start automatic slide show',
+  stopRotation: 'Stop automatic slide show',
+};
+
+let instances = 0;
+
+/**
+ * Keeps the images of an offscreen slide from loading.
+ * @param {Element} slide The slide
+ */
+function deferImages(slide) {
+  slide.querySelectorAll('picture source[srcset], picture img').forEach((el) => {
+    ['srcset', 'src'].forEach((attr) => {
+      if (el.hasAttribute(attr)) {
+        el.dataset[attr] = el.getAttribute(attr);
+        el.removeAttribute(attr);
+      }
+    });
+  });
+}
+
+/**
+ * Loads the deferred images of a slide.
+ * @param {Element} [slide] The slide
+ */
+function loadImages(slide) {
+  if (!slide) return;
+  slide.querySelectorAll('picture source, picture img').forEach((el) => {
+    ['srcset', 'src'].forEach((attr) => {
+      if (el.dataset[attr]) {
+        el.setAttribute(attr, el.dataset[attr]);
+        delete el.dataset[attr];
+      }
+    });
+  });
+}
+
+/**
+ * Marks a slide as the current one and hides the others from assistive technology.
+ * @param {Element} block The carousel block
+ * @param {number} index The slide index
+ */
+function updateActiveSlide(block, index) {
+  const slides = [...block.querySelectorAll('.carousel-slide')];
+  block.dataset.activeSlide = index;
+  slides.forEach((slide, i) => {
+    const active = i === index;
+    slide.setAttribute('aria-hidden', !active);
+    slide.querySelectorAll('a, button, input, select, textarea').forEach((control) => {
+      if (active) control.removeAttribute('tabindex');
+      else control.setAttribute('tabindex', -1);
+    });
+  });
+  // the neighbours are about to show
+  loadImages(slides[index]);
+  loadImages(slides[(index + 1) % slides.length]);
+  loadImages(slides[(index - 1 + slides.length) % slides.length]);
+
+  block.querySelectorAll('.carousel-indicators button').forEach((button, i) => {
+    if (i === index) button.setAttribute('aria-current', 'true');
+    else button.removeAttribute('aria-current');
+  });
+}
+
+/**
+ * Scrolls to a slide, wrapping around at both ends.
+ * @param {Element} block The carousel block
+ * @param {number} index The slide index
+ */
+function showSlide(block, index) {
+  const slides = [...block.querySelectorAll('.carousel-slide')];
+  const next = (index + slides.length) % slides.length;
+  const container = block.querySelector('.carousel-slides');
+  const reduceMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  loadImages(slides[next]);
+  container.scrollTo({
+    left: slides[next].offsetLeft - container.offsetLeft,
+    behavior: reduceMotion ? 'instant' : 'smooth',
+  });
+  updateActiveSlide(block, next);
+}
+
+/**
+ * Rotates the slides automatically, pausing while the carousel is hovered or focused.
+ * Visitors who prefer reduced motion start it themselves.
+ * @param {Element} block The carousel block
+ * @param {Element} toggle The rotation control
+ */
+function setupAutoplay(block, toggle) {
+  const slides = block.querySelector('.carousel-slides');
+  let timer = null;
+  let rotating = !window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  let hovered = false;
+  let focused = false;
+
+  const update = () => {
+    clearInterval(timer);
+    timer = null;
+    const running = rotating && !hovered && !focused;
+    if (running) {
+      timer = setInterval(() => {
+        showSlide(block, Number(block.dataset.activeSlide) + 1);
+      }, AUTOPLAY_INTERVAL);
+    }
+    // announce slide changes only when they do not happen on their own
+    slides.setAttribute('aria-live', running ? 'off' : 'polite');
+    toggle.setAttribute('aria-label', rotating ? labels.stopRotation : labels.startRotation);
+    toggle.classList.toggle('carousel-rotation-paused', !rotating);
+  };
+
+  toggle.addEventListener('click', () => {
+    rotating = !rotating;
+    update();
+  });
+  block.addEventListener('mouseenter', () => { hovered = true; update(); });
+  block.addEventListener('mouseleave', () => { hovered = false; update(); });
+  // the rotation control itself does not pause, so it can start the rotation again
+  block.addEventListener('focusin', (e) => { focused = e.target !== toggle; update(); });
+  block.addEventListener('focusout', (e) => {
+    if (!block.contains(e.relatedTarget)) {
+      focused = false;
+      update();
+    }
+  });
+  update();
+}
+
+/**
+ * Builds a control button.
+ * @param {string} className The class name
+ * @param {string} label The accessible label
+ * @returns {Element} The button
+ */
+function buildButton(className, label) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = className;
+  button.setAttribute('aria-label', label);
+  return button;
+}
+
+export default async function decorate(block) {
+  const placeholders = await fetchPlaceholders();
+  Object.keys(labels).forEach((key) => {
+    if (placeholders[key]) labels[key] = placeholders[key];
+  });
+  instances += 1;
+  const id = `carousel-${instances}`;
+  const rows = [...block.children];
+
+  block.setAttribute('role', 'region');
+  block.setAttribute('aria-roledescription', labels.carousel);
+  // only a heading authored right before the carousel names it, not a slide heading
+  const intro = block.parentElement.previousElementSibling;
+  const heading = intro && intro.classList.contains('default-content-wrapper')
+    ? [...intro.querySelectorAll(':scope > h1, :scope > h2, :scope > h3')].pop()
+    : null;
+  if (heading) {
+    heading.id = heading.id || `${id}-heading`;
+    block.setAttribute('aria-labelledby', heading.id);
+  } else {
+    block.setAttribute('aria-label', labels.carousel);
+  }
+
+  const slides = document.createElement('ul');
+  slides.className = 'carousel-slides';
+  slides.id = `${id}-slides`;
+  rows.forEach((row, i) => {
+    const slide = document.createElement('li');
+    slide.className = 'carousel-slide';
+    slide.id = `${id}-slide-${i}`;
+    slide.setAttribute('role', 'group');
+    slide.setAttribute('aria-roledescription', labels.slide);
+    slide.setAttribute('aria-label', `${i + 1} ${labels.slideOf} ${rows.length}`);
+    [...row.children].forEach((cell) => {
+      const onlyPicture = cell.querySelector('picture') && !cell.textContent.trim();
+      cell.className = onlyPicture ? 'carousel-slide-image' : 'carousel-slide-content';
+      slide.append(cell);
+    });
+    if (i > 0) deferImages(slide);
+    slides.append(slide);
+  });
+  block.replaceChildren(slides);
+
+  if (rows.length > 1) {
+    const controls = document.createElement('div');
+    controls.className = 'carousel-controls';
+    const previous = buildButton('carousel-previous', labels.previousSlide);
+    const next = buildButton('carousel-next', labels.nextSlide);
+    previous.setAttribute('aria-controls', slides.id);
+    next.setAttribute('aria-controls', slides.id);
+    previous.addEventListener('click', () => showSlide(block, Number(block.dataset.activeSlide) - 1));
+    next.addEventListener('click', () => showSlide(block, Number(block.dataset.activeSlide) + 1));
+
+    const indicators = document.createElement('ol');
+    indicators.className = 'carousel-indicators';
+    rows.forEach((row, i) => {
+      const li = document.createElement('li');
+      const button = buildButton('carousel-indicator', `${labels.showSlide} ${i + 1} ${labels.slideOf} ${rows.length}`);
+      button.setAttribute('aria-controls', `${id}-slide-${i}`);
+      button.addEventListener('click', () => showSlide(block, i));
+      li.append(button);
+      indicators.append(li);
+    });
+    controls.append(previous, indicators, next);
+
+    // the rotation control comes first, so it is reached before the rotating content
+    if (block.classList.contains('autoplay')) {
+      const toggle = buildButton('carousel-rotation', labels.stopRotation);
+      toggle.setAttribute('aria-controls', slides.id);
+      block.prepend(toggle);
+      setupAutoplay(block, toggle);
+    }
+    block.append(controls);
+
+    block.addEventListener('keydown', (e) => {
+      if (e.target.closest('input, select, textarea')) return;
+      const current = Number(block.dataset.activeSlide);
+      const keys = {
+        ArrowLeft: current - 1,
+        ArrowRight: current + 1,
+        Home: 0,
+        End: rows.length - 1,
+      };
+      if (e.key in keys) {
+        e.preventDefault();
+        showSlide(block, keys[e.key]);
+      }
+    });
+
+    // swiping scrolls the slides natively, the observer follows along
+    const observer = new IntersectionObserver((entries) => {
+      entries.filter((entry) => entry.isIntersecting).forEach((entry) => {
+        updateActiveSlide(block, [...slides.children].indexOf(entry.target));
+      });
+    }, { root: slides, threshold: 0.6 });
+    [...slides.children].forEach((slide) => observer.observe(slide));
+  }
+
+  updateActiveSlide(block, 0);
+}
@@ -0,0 +1,90 @@
+import { createOptimizedPicture } from '../../scripts/aem.js';
+import { waitForConsent } from '../../scripts/consent.js';
+import { findEmbedProvider } from '../../scripts/embeds.js';
+import { fetchPlaceholders } from '../../scripts/placeholders.js';
+
+/**
+ * Replaces the facade of an embed with the iframe of its provider.
+ * @param {Element} block The embed block
+ * @param {object} embed The provider match
+ * @param {string} title The accessible title of the iframe
+ * @param {boolean} autoplay Whether the visitor asked to play
+ */
+function loadEmbed(block, { provider, params }, title, autoplay) {
+  const {
+    src,
+    allow,
+    ratio,
+    height,
+  } = provider.build(params, { autoplay });
+  const iframe = document.createElement('iframe');
+  iframe.src = src;
+  iframe.title = title;
+  iframe.loading = 'lazy';
+  iframe.allowFullscreen = true;
+  if (allow) iframe.allow = allow;
+  if (ratio) iframe.style.aspectRatio = ratio;
+  if (height) iframe.style.height = `${height}px`;
+  block.querySelector('.embed-facade').replaceWith(iframe);
+  block.classList.add('embed-loaded');
+  if (autoplay) iframe.focus();
+}
+
+export default async function decorate(block) {
+  const link = block.querySelector('a');
+  const embed = link && findEmbedProvider(link.href);
+  if (!embed) {
+    // eslint-disable-next-line no-console
+    console.warn(`no embed provider for ${link ? link.href : 'empty embed'}`);
+    return;
+  }
+  const placeholders = await fetchPlaceholders();
+  const { name, provider } = embed;
+  const linkText = link.textContent.trim();
+  const title = linkText && !linkText.startsWith('http') ? linkText : provider.label;
+  block.classList.add(name);
+
+  // nothing of the provider loads before the visitor asks for it
+  const facade = document.createElement('div');
+  facade.className = 'embed-facade';
+  const authored = block.querySelector('picture');
+  if (authored) {
+    const img = authored.querySelector('img');
+    facade.append(createOptimizedPicture(img.src, img.alt, false, [{ width: '900' }]));
+  }
+
+  const fallback = document.createElement('a');
+  fallback.href = link.href;
+  fallback.className = 'embed-link';
+  fallback.textContent = title;
+
+  if (provider.load === 'view') {
+    const load = document.createElement('button');
+    load.type = 'button';
+    load.className = 'embed-load secondary';
+    load.textContent = placeholders.loadEmbed || 'Load content';
+    load.setAttribute('aria-label', `${load.textContent}: ${title}`);
+    load.addEventListener('click', () => loadEmbed(block, embed, title, false), { once: true });
+    facade.append(load, fallback);
+    block.replaceChildren(facade);
+    // with marketing consent the embed loads once scrolled near, without it on click
+    waitForConsent('marketing').then((granted) => {
+      if (!granted || block.classList.contains('embed-loaded')) return;
+      const observer = new IntersectionObserver((entries) => {
+        if (!entries.some((entry) => entry.isIntersecting)) return;
+        observer.disconnect();
+        if (!block.classList.contains('embed-loaded')) loadEmbed(block, embed, title, false);
+      }, { rootMargin: '200px' });
+      observer.observe(block);
+    });
+    return;
+  }
+
+  const play = document.createElement('button');
+  play.type = 'button';
+  play.className = 'embed-play';
+  play.setAttribute('aria-label', `${placeholders.play || 'Play'}: ${title}`);
+  play.addEventListener('click', () => loadEmbed(block, embed, title, true), { once: true });
+  facade.append(play, fallback);
+  block.replaceChildren(facade);
+}
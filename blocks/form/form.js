@@ -0,0 +1,435 @@
+/*
+ * Form
+ * Renders a form from a spreadsheet definition, one field per row with the columns
+ * Name, Type, Label, Placeholder, Value, Options, Required, Min, Max, Pattern,
+ * Help, Error, Fieldset and Visible, and optionally Checked, Accept, Multiple and
+ * Autocomplete. Type is one of text, email, tel, url, number, date, textarea,
+ * select, checkbox, radio, file, hidden, fieldset or submit, the Value of the
+ * submit row is the endpoint the form is posted to as JSON.
+ * Fields join the fieldset named in their Fieldset column, Visible shows a field
+ * only when another field is filled (`name`), or has (`name=value`) or has not
+ * (`name!=value`) a value. Checked preselects a single checkbox, Accept and
+ * Multiple set the accepted types and multiple selection of file fields, and
+ * Autocomplete is the autocomplete hint of the control.
+ * A received submission dispatches a bubbling `formsubmit` event from the block.
+ */
+
+import { toCamelCase, toClassName } from '../../scripts/aem.js';
+import { fetchPlaceholders } from '../../scripts/placeholders.js';
+import { loadFragment } from '../fragment/fragment.js';
+
+export const configSchema = {
+  source: { type: 'url', required: true },
+  action: { type: 'url' },
+  success: { type: 'url' },
+  error: { type: 'url' },
+};
+
+// input types rendered as a plain input element
+const INPUT_TYPES = ['text', 'email', 'tel', 'url', 'number', 'date', 'password', 'hidden', 'file'];
+
+let instances = 0;
+
+/**
+ * Fetches a form definition. Spreadsheet rows become fields with camelCased properties.
+ * @param {string} url The definition URL
+ * @returns {Promise<Array<object>>} The field definitions
+ */
+async function fetchDefinition(url) {
+  const resp = await fetch(url);
+  if (!resp.ok) throw new Error(`failed to load form definition ${url}: ${resp.status}`);
+  const json = await resp.json();
+  const rows = json.data || (json.fields && json.fields.data) || [];
+  return rows
+    .map((row) => Object.fromEntries(Object.entries(row).map(([key, value]) => [
+      toCamelCase(key),
+      typeof value === 'string' ? value.trim() : value,
+    ])))
+    .filter((field) => field.type || field.name);
+}
+
+/**
+ * Splits the options of a select, radio or checkbox group.
+ * Options are comma separated, `value=Label` sets a label different from the value.
+ * @param {string} options The authored options
+ * @returns {Array<{value: string, label: string}>} The options
+ */
+function parseOptions(options = '') {
+  return options.split(',')
+    .map((option) => option.trim())
+    .filter((option) => option)
+    .map((option) => {
+      const [value, ...label] = option.split('=');
+      return { value: value.trim(), label: (label.join('=') || value).trim() };
+    });
+}
+
+/**
+ * Tells whether a definition value is set to true.
+ * @param {string} value The definition value
+ * @returns {boolean} true for `true`, `yes` or `x`
+ */
+function isTrue(value) {
+  return ['true', 'yes', 'x'].includes(String(value || '').toLowerCase());
+}
+
+/**
+ * Parses a visibility condition: `name` (checked or filled), `name=value` or `name!=value`.
+ * @param {string} condition The authored condition
+ * @returns {function|null} Called with the form, tells whether the field shows
+ */
+function parseCondition(condition) {
+  if (!condition) return null;
+  const [, name, operator, expected] = condition.match(/^([^!=]+)(?:(!?=)(.*))?$/) || [];
+  if (!name) return null;
+  return (form) => {
+    const values = [...form.querySelectorAll(`[name="${CSS.escape(name.trim())}"]`)]
+      .filter((el) => !el.disabled && (!['checkbox', 'radio'].includes(el.type) || el.checked))
+      .map((el) => el.value);
+    if (!operator) return values.some((value) => value);
+    const matches = values.includes(expected.trim());
+    return operator === '=' ? matches : !matches;
+  };
+}
+
+/**
+ * Builds the control of a field.
+ * @param {object} field The field definition
+ * @param {string} id The control id
+ * @returns {Element} The control, or a fieldset for option groups
+ */
+function buildControl(field, id) {
+  const type = (field.type || 'text').toLowerCase();
+  if (type === 'radio' || (type === 'checkbox' && field.options)) {
+    const group = document.createElement('div');
+    group.className = 'form-options';
+    group.setAttribute('role', type === 'radio' ? 'radiogroup' : 'group');
+    parseOptions(field.options).forEach((option, i) => {
+      const input = document.createElement('input');
+      input.type = type;
+      input.name = field.name;
+      input.value = option.value;
+      input.id = `${id}-${i}`;
+      input.checked = parseOptions(field.value).some(({ value }) => value === option.value);
+      if (type === 'radio' && isTrue(field.required)) input.required = true;
+      const label = document.createElement('label');
+      label.htmlFor = input.id;
+      label.textContent = option.label;
+      const wrapper = document.createElement('div');
+      wrapper.append(input, label);
+      group.append(wrapper);
+    });
+    // checkboxes cannot require one of a group, validateField checks it
+    if (type === 'checkbox' && isTrue(field.required)) group.dataset.required = 'true';
+    return group;
+  }
+
+  let control;
+  if (type === 'select') {
+    control = document.createElement('select');
+    if (field.placeholder) control.append(new Option(field.placeholder, ''));
+    parseOptions(field.options).forEach(({ value, label }) => {
+      control.append(new Option(label, value, false, value === field.value));
+    });
+  } else if (type === 'textarea') {
+    control = document.createElement('textarea');
+    control.value = field.value || '';
+  } else {
+    control = document.createElement('input');
+    control.type = INPUT_TYPES.includes(type) || type === 'checkbox' ? type : 'text';
+    if (type === 'checkbox') {
+      control.value = field.value || 'true';
+      control.checked = isTrue(field.checked);
+    } else if (type === 'file') {
+      if (field.accept) control.accept = field.accept;
+      control.multiple = isTrue(field.multiple);
+    } else if (field.value) {
+      control.value = field.value;
+    }
+  }
+  control.id = id;
+  control.name = field.name;
+  control.required = isTrue(field.required);
+  if (field.placeholder && type !== 'select') control.placeholder = field.placeholder;
+  if (field.pattern) control.pattern = field.pattern;
+  if (field.min) control[type === 'number' || type === 'date' ? 'min' : 'minLength'] = field.min;
+  if (field.max) control[type === 'number' || type === 'date' ? 'max' : 'maxLength'] = field.max;
+  if (field.autocomplete) control.autocomplete = field.autocomplete;
+  return control;
+}
+
+/**
+ * Builds a field with its label, help text and error message.
+ * @param {object} field The field definition
+ * @param {string} formId The form id
+ * @returns {Element} The field wrapper
+ */
+function buildField(field, formId) {
+  const type = (field.type || 'text').toLowerCase();
+  const id = `${formId}-${toClassName(field.name)}`;
+  const wrapper = document.createElement('div');
+  wrapper.className = `form-field form-${toClassName(type)}`;
+  wrapper.dataset.name = field.name;
+  const control = buildControl(field, id);
+
+  if (type === 'hidden') {
+    wrapper.hidden = true;
+    wrapper.append(control);
+    return wrapper;
+  }
+
+  const describedBy = [];
+  if (field.help) {
+    const help = document.createElement('p');
+    help.className = 'form-help';
+    help.id = `${id}-help`;
+    help.textContent = field.help;
+    describedBy.push(help.id);
+    wrapper.append(help);
+  }
+  const error = document.createElement('p');
+  error.className = 'form-error';
+  error.id = `${id}-error`;
+  error.hidden = true;
+  if (field.error) wrapper.dataset.error = field.error;
+  describedBy.push(error.id);
+
+  if (control.classList.contains('form-options')) {
+    // option groups are labelled by a legend, their inputs describe the group
+    const fieldset = document.createElement('fieldset');
+    const legend = document.createElement('legend');
+    legend.textContent = field.label || field.name;
+    fieldset.append(legend, control);
+    fieldset.setAttribute('aria-describedby', describedBy.join(' '));
+    wrapper.prepend(fieldset);
+  } else {
+    const label = document.createElement('label');
+    label.htmlFor = id;
+    label.textContent = field.label || field.name;
+    control.setAttribute('aria-describedby', describedBy.join(' '));
+    if (type === 'checkbox') wrapper.prepend(control, label);
+    else wrapper.prepend(label, control);
+  }
+  if (isTrue(field.required)) wrapper.classList.add('form-required');
+  wrapper.append(error);
+  return wrapper;
+}
+
+/**
+ * Shows or clears the inline error of a field.
+ * @param {Element} wrapper The field wrapper
+ * @returns {boolean} Whether the field is valid
+ */
+function validateField(wrapper) {
+  const controls = [...wrapper.querySelectorAll('input, select, textarea')];
+  if (wrapper.querySelector('.form-options[data-required]')) {
+    const checked = controls.some((control) => control.checked);
+    controls[0].setCustomValidity(checked ? '' : 'Please select at least one option.');
+  }
+  const invalid = controls.find((control) => !control.checkValidity());
+  const error = wrapper.querySelector('.form-error');
+  controls.forEach((control) => control.setAttribute('aria-invalid', !!invalid));
+  if (!error) return !invalid;
+  error.hidden = !invalid;
+  error.textContent = invalid ? wrapper.dataset.error || invalid.validationMessage : '';
+  return !invalid;
+}
+
+/**
+ * Reads a file as a data URL, so it can be sent as JSON.
+ * @param {File} file The file
+ * @returns {Promise<object>} The file name, type, size and data URL
+ */
+function readFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve({
+      name: file.name,
+      type: file.type,
+      size: file.size,
+      data: reader.result,
+    });
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+/**
+ * Collects the submitted values, repeated names become arrays.
+ * @param {HTMLFormElement} form The form
+ * @returns {Promise<object>} The values
+ */
+async function collectData(form) {
+  const data = {};
+  const entries = [...new FormData(form).entries()];
+  const values = await Promise.all(entries.map(([, value]) => {
+    if (!(value instanceof File)) return value;
+    return value.name ? readFile(value) : null;
+  }));
+  entries.forEach(([name], i) => {
+    if (values[i] === null) return;
+    if (name in data) data[name] = [].concat(data[name], values[i]);
+    else data[name] = values[i];
+  });
+  // checkbox groups are always sent as lists
+  form.querySelectorAll('.form-options[role="group"]').forEach((group) => {
+    const { name } = group.closest('.form-field').dataset;
+    if (!(name in data)) data[name] = [];
+    else if (!Array.isArray(data[name])) data[name] = [data[name]];
+  });
+  return data;
+}
+
+/**
+ * Shows the success or error message of a submission.
+ * @param {Element} block The form block
+ * @param {string} url The URL of the message fragment
+ * @param {string} text The message shown without fragment
+ * @param {boolean} isError Whether the submission failed
+ * @returns {Promise<Element>} The message element
+ */
+async function showMessage(block, url, text, isError) {
+  const previous = block.querySelector('.form-message');
+  if (previous) previous.remove();
+  const message = document.createElement('div');
+  message.className = `form-message ${isError ? 'form-message-error' : 'form-message-success'}`;
+  message.setAttribute('role', isError ? 'alert' : 'status');
+  message.tabIndex = -1;
+  let fragment = null;
+  try {
+    fragment = url ? await loadFragment(new URL(url).pathname) : null;
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error(`failed to load form message ${url}`, error);
+  }
+  if (fragment) message.append(...fragment.childNodes);
+  else message.textContent = text;
+  block.prepend(message);
+  message.focus();
+  return message;
+}
+
+export default async function decorate(block, config = {}) {
+  if (!config.source) {
+    block.replaceChildren();
+    return;
+  }
+  const [fields, placeholders] = await Promise.all([
+    fetchDefinition(config.source).catch((error) => {
+      // eslint-disable-next-line no-console
+      console.error(error);
+      return null;
+    }),
+    fetchPlaceholders(),
+  ]);
+  block.replaceChildren();
+  if (!fields) return;
+  instances += 1;
+  const formId = `form-${instances}`;
+
+  const form = document.createElement('form');
+  form.id = formId;
+  form.noValidate = true;
+  const fieldsets = new Map();
+  const conditions = [];
+  let action = config.action || '';
+  let submitLabel = placeholders.submit || 'Submit';
+
+  fields.forEach((field) => {
+    const type = (field.type || 'text').toLowerCase();
+    if (type === 'submit') {
+      submitLabel = field.label || submitLabel;
+      if (!action && field.value) action = new URL(field.value, window.location.href).href;
+      return;
+    }
+    let element;
+    if (type === 'fieldset') {
+      element = document.createElement('fieldset');
+      element.className = 'form-fieldset';
+      element.dataset.name = field.name;
+      const legend = document.createElement('legend');
+      legend.textContent = field.label || field.name;
+      element.append(legend);
+      fieldsets.set(field.name, element);
+    } else {
+      element = buildField(field, formId);
+    }
+    const condition = parseCondition(field.visible);
+    if (condition) conditions.push({ element, condition });
+    (fieldsets.get(field.fieldset) || form).append(element);
+  });
+
+  const submit = document.createElement('button');
+  submit.type = 'submit';
+  submit.textContent = submitLabel;
+  const buttons = document.createElement('p');
+  buttons.className = 'button-container';
+  buttons.append(submit);
+  form.append(buttons);
+
+  // hidden fields are disabled, so they are neither validated nor submitted
+  const updateVisibility = () => {
+    conditions.forEach(({ element, condition }) => {
+      const visible = condition(form);
+      element.hidden = !visible;
+      element.querySelectorAll('input, select, textarea').forEach((control) => {
+        control.disabled = !visible;
+      });
+    });
+  };
+  form.addEventListener('input', updateVisibility);
+  form.addEventListener('change', updateVisibility);
+  updateVisibility();
+
+  // errors show once a field was left, and update while it is corrected
+  form.addEventListener('focusout', (e) => {
+    const wrapper = e.target.closest('.form-field');
+    if (wrapper && !wrapper.contains(e.relatedTarget)) {
+      wrapper.dataset.touched = 'true';
+      validateField(wrapper);
+    }
+  });
+  form.addEventListener('input', (e) => {
+    const wrapper = e.target.closest('.form-field');
+    if (wrapper && wrapper.dataset.touched) validateField(wrapper);
+  });
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const invalid = [...form.querySelectorAll('.form-field')]
+      .filter((wrapper) => !wrapper.closest('[hidden]'))
+      .filter((wrapper) => {
+        wrapper.dataset.touched = 'true';
+        return !validateField(wrapper);
+      });
+    if (invalid.length) {
+      invalid[0].querySelector('input, select, textarea').focus();
+      return;
+    }
+
+    submit.disabled = true;
+    form.setAttribute('aria-busy', 'true');
+    try {
+      if (!action) throw new Error('the form has no submit endpoint');
+      const resp = await fetch(action, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ data: await collectData(form) }),
+      });
+      if (!resp.ok) throw new Error(`form submission failed: ${resp.status}`);
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error(error);
+      await showMessage(block, config.error, placeholders.formError || 'Your submission failed, please try again.', true);
+      return;
+    } finally {
+      submit.disabled = false;
+      form.removeAttribute('aria-busy');
+    }
+    form.remove();
+    block.dispatchEvent(new CustomEvent('formsubmit', { bubbles: true }));
+    await showMessage(block, config.success, placeholders.formSuccess || 'Thank you, your submission was received.', false);
+  });
+
+  block.append(form);
+}
@@ -11,17 +11,28 @@ import {
 
 import {
   loadSections,
+  readBlockConfig,
+  toClassName,
 } from '../../scripts/aem.js';
+import { resolveExperimentFragment } from '../../scripts/experiment.js';
+import { localizePath } from '../../scripts/locale.js';
+
+// fragments nested deeper than this are most likely including each other
+const MAX_FRAGMENT_DEPTH = 5;
+
+// path -> promise of the undecorated fragment content, shared by all callers
+const fragmentCache = new Map();
 
 /**
- * Loads a fragment.
+ * Fetches a fragment once per page and caches its undecorated content.
  * @param {string} path The path to the fragment
- * @returns {HTMLElement} The root element of the fragment
+ * @returns {Promise<HTMLElement|null>} The cached main element, not to be modified
  */
-export async function loadFragment(path) {
-  if (path && path.startsWith('/')) {
-    const resp = await fetch(`${path}.plain.html`);
-    if (resp.ok) {
+function fetchFragment(path) {
+  if (!fragmentCache.has(path)) {
+    fragmentCache.set(path, (async () => {
+      const resp = await fetch(`${path}.plain.html`);
+      if (!resp.ok) return null;
       const main = document.createElement('main');
       main.innerHTML = await resp.text();
 
@@ -33,8 +44,126 @@ export async function loadFragment(path) {
       };
       resetAttributeBase('img', 'src');
       resetAttributeBase('source', 'srcset');
+      return main;
+    })().catch((error) => {
+      // do not cache network failures, a later caller may succeed
+      fragmentCache.delete(path);
+      throw error;
+    }));
+  }
+  return fragmentCache.get(path);
+}
+
+/**
+ * Returns the fragments an element is nested in, outermost first.
+ * Each is the fragment path followed by its selector, if any.
+ * @param {Element} element The element
+ * @returns {Array<string>} The fragment references
+ */
+export function getFragmentChain(element) {
+  const parent = element && element.closest('[data-fragment-chain]');
+  return parent ? parent.dataset.fragmentChain.split(' ') : [];
+}
 
-      decorateMain(main);
+/**
+ * Builds a decorated placeholder shown in place of a fragment that cannot be included.
+ * @param {string} path The path to the fragment
+ * @param {string} reason The reason shown to authors
+ * @returns {HTMLElement} The root element of the placeholder
+ */
+function buildFragmentError(path, reason) {
+  // eslint-disable-next-line no-console
+  console.error(`Fragment ${path} not included: ${reason}`);
+  const main = document.createElement('main');
+  const section = document.createElement('div');
+  section.className = 'section fragment-error';
+  section.dataset.sectionStatus = 'loaded';
+  const wrapper = document.createElement('div');
+  wrapper.className = 'default-content-wrapper';
+  const p = document.createElement('p');
+  p.textContent = `Fragment ${path} could not be included: ${reason}.`;
+  wrapper.append(p);
+  section.append(wrapper);
+  main.append(section);
+  return main;
+}
+
+/**
+ * Parses the selector part of a fragment reference.
+ * `#summer` selects a section by anchor, `#block=cards` the first cards block,
+ * and `#section=summer&block=cards` the first cards block of that section.
+ * @param {string} hash The hash without leading `#`
+ * @returns {{section: string, block: string}} The parsed selector
+ */
+function parseSelector(hash) {
+  if (!hash.includes('=')) return { section: decodeURIComponent(hash), block: '' };
+  const params = new URLSearchParams(hash);
+  return { section: params.get('section') || '', block: params.get('block') || '' };
+}
+
+/**
+ * Reduces undecorated fragment content to the selected section or block.
+ * @param {HTMLElement} main The undecorated fragment content
+ * @param {{section: string, block: string}} selector The selector
+ * @returns {boolean} Whether anything matched
+ */
+function selectFragmentContent(main, { section, block }) {
+  let sections = [...main.querySelectorAll(':scope > div')];
+  if (section) {
+    sections = sections.filter((candidate) => {
+      const meta = candidate.querySelector(':scope > div.section-metadata');
+      const config = meta ? readBlockConfig(meta) : {};
+      return config.id === section || config.anchor === section
+        || !!candidate.querySelector(`[id="${CSS.escape(section)}"]`);
+    });
+  }
+  if (block) {
+    const match = sections
+      .map((candidate) => candidate.querySelector(`:scope > div.${CSS.escape(toClassName(block))}`))
+      .find((candidate) => candidate);
+    if (!match) return false;
+    const wrapper = document.createElement('div');
+    wrapper.append(match);
+    main.replaceChildren(wrapper);
+    [main.dataset.fragmentBlock] = match.classList;
+    return true;
+  }
+  if (!sections.length) return false;
+  main.replaceChildren(sections[0]);
+  return true;
+}
+
+/**
+ * Loads a fragment.
+ * The path may end in a selector to include only part of the fragment, see parseSelector.
+ * Paths outside a locale tree resolve within the tree of the page locale first.
+ * @param {string} path The path to the fragment
+ * @param {Array<string>} [parents] Fragments this one is included from, see getFragmentChain
+ * @returns {HTMLElement} The root element of the fragment
+ */
+export async function loadFragment(path, parents = []) {
+  if (path && path.startsWith('/')) {
+    const [authoredPath, hash] = path.split('#');
+    const fragmentPath = resolveExperimentFragment(authoredPath);
+    // snippets of one document may include each other, only the same snippet is a loop
+    const reference = hash ? `${fragmentPath}#${hash}` : fragmentPath;
+    if (parents.includes(reference)) {
+      return buildFragmentError(path, `it includes itself through ${parents.join(' > ')}`);
+    }
+    if (parents.length >= MAX_FRAGMENT_DEPTH) {
+      return buildFragmentError(path, `fragments are nested more than ${MAX_FRAGMENT_DEPTH} levels deep`);
+    }
+    // prefer the fragment of the page locale, fall back to the default locale
+    const localizedPath = localizePath(fragmentPath);
+    let source = await fetchFragment(localizedPath);
+    if (!source && localizedPath !== fragmentPath) source = await fetchFragment(fragmentPath);
+    if (source) {
+      const main = source.cloneNode(true);
+      if (hash && !selectFragmentContent(main, parseSelector(hash))) {
+        return buildFragmentError(path, `no section or block matches #${hash}`);
+      }
+      main.dataset.fragmentChain = [...parents, reference].join(' ');
+      await decorateMain(main);
       await loadSections(main);
       return main;
     }
@@ -45,12 +174,19 @@ export async function loadFragment(path) {
 export default async function decorate(block) {
   const link = block.querySelector('a');
   const path = link ? link.getAttribute('href') : block.textContent.trim();
-  const fragment = await loadFragment(path);
+  const fragment = await loadFragment(path, getFragmentChain(block));
   if (fragment) {
     const fragmentSection = fragment.querySelector(':scope .section');
     if (fragmentSection) {
-      block.closest('.section').classList.add(...fragmentSection.classList);
-      block.closest('.fragment').replaceWith(...fragment.childNodes);
+      const { fragmentBlock } = fragment.dataset;
+      if (fragmentBlock) {
+        // a single block was selected, it takes the place of the fragment block
+        block.closest('.section').classList.add(`${fragmentBlock}-container`);
+        block.closest('.fragment-wrapper').replaceWith(...fragmentSection.childNodes);
+      } else {
+        block.closest('.section').classList.add(...fragmentSection.classList);
+        block.closest('.fragment').replaceWith(...fragment.childNodes);
+      }
     }
   }
 }
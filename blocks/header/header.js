@@ -1,16 +1,79 @@
-import { getMetadata } from '../../scripts/aem.js';
+import {
+  buildBlock,
+  decorateBlock,
+  decorateIcons,
+  getMetadata,
+  loadBlock,
+} from '../../scripts/aem.js';
+import { getLocale } from '../../scripts/locale.js';
+import { fetchPlaceholders } from '../../scripts/placeholders.js';
+import queryIndex from '../../scripts/query-index.js';
+import { getColorScheme, setColorScheme } from '../../scripts/theme.js';
 import { loadFragment } from '../fragment/fragment.js';
 
 // media query match that indicates mobile/tablet width
 const isDesktop = window.matchMedia('(min-width: 900px)');
 
+// nav labels, overridden by the placeholders of the same keys
+const labels = {
+  openNavigation: 'Open navigation',
+  closeNavigation: 'Close navigation',
+  back: 'Back',
+  search: 'Search',
+  breadcrumbs: 'Breadcrumbs',
+  home: 'Home',
+  darkMode: 'Dark mode',
+};
+
+/**
+ * Returns the focusable element of each top level nav section,
+ * the toggle button of dropdowns or the link of plain items.
+ * @param {Element} navSections The nav sections element
+ * @returns {Array<Element>} The top level controls
+ */
+function getTopControls(navSections) {
+  return [...navSections.querySelectorAll(':scope .default-content-wrapper > ul > li')]
+    .map((li) => li.querySelector(':scope > .nav-drop-button') || li.querySelector('a'))
+    .filter((control) => control);
+}
+
+/**
+ * Moves the roving tabindex of the top level sections to a control.
+ * @param {Element} navSections The nav sections element
+ * @param {Element} control The control that gets the tab stop
+ */
+function setTopTabStop(navSections, control) {
+  getTopControls(navSections).forEach((c) => c.setAttribute('tabindex', c === control ? 0 : -1));
+}
+
+/**
+ * Toggles all nav sections
+ * @param {Element} sections The container element
+ * @param {Boolean} expanded Whether the element should be expanded or collapsed
+ */
+function toggleAllNavSections(sections, expanded = false) {
+  sections.querySelectorAll('.nav-sections .nav-drop > .nav-drop-button').forEach((button) => {
+    button.setAttribute('aria-expanded', expanded);
+  });
+}
+
+/**
+ * Expands or collapses a dropdown, collapsing the others.
+ * @param {Element} button The toggle button of the dropdown
+ * @param {Boolean} expanded Whether the dropdown should be expanded
+ */
+function toggleNavDrop(button, expanded) {
+  toggleAllNavSections(button.closest('.nav-sections'));
+  button.setAttribute('aria-expanded', expanded);
+}
+
 function closeOnEscape(e) {
   if (e.code === 'Escape') {
     const nav = document.getElementById('nav');
     const navSections = nav.querySelector('.nav-sections');
-    const navSectionExpanded = navSections.querySelector('[aria-expanded="true"]');
-    if (navSectionExpanded && isDesktop.matches) {
-      // eslint-disable-next-line no-use-before-define
+    const navSectionExpanded = navSections.querySelector('.nav-drop-button[aria-expanded="true"]');
+    if (navSectionExpanded) {
+      // back to the parent level
       toggleAllNavSections(navSections);
       navSectionExpanded.focus();
     } else if (!isDesktop.matches) {
@@ -25,9 +88,8 @@ function closeOnFocusLost(e) {
   const nav = e.currentTarget;
   if (!nav.contains(e.relatedTarget)) {
     const navSections = nav.querySelector('.nav-sections');
-    const navSectionExpanded = navSections.querySelector('[aria-expanded="true"]');
+    const navSectionExpanded = navSections.querySelector('.nav-drop-button[aria-expanded="true"]');
     if (navSectionExpanded && isDesktop.matches) {
-      // eslint-disable-next-line no-use-before-define
       toggleAllNavSections(navSections, false);
     } else if (!isDesktop.matches) {
       // eslint-disable-next-line no-use-before-define
@@ -36,30 +98,56 @@ function closeOnFocusLost(e) {
   }
 }
 
-function openOnKeydown(e) {
-  const focused = document.activeElement;
-  const isNavDrop = focused.className === 'nav-drop';
-  if (isNavDrop && (e.code === 'Enter' || e.code === 'Space')) {
-    const dropExpanded = focused.getAttribute('aria-expanded') === 'true';
-    // eslint-disable-next-line no-use-before-define
-    toggleAllNavSections(focused.closest('.nav-sections'));
-    focused.setAttribute('aria-expanded', dropExpanded ? 'false' : 'true');
-  }
-}
-
-function focusNavSection() {
-  document.activeElement.addEventListener('keydown', openOnKeydown);
-}
-
 /**
- * Toggles all nav sections
- * @param {Element} sections The container element
- * @param {Boolean} expanded Whether the element should be expanded or collapsed
+ * Keyboard support of the desktop menu: arrow keys move between top level
+ * sections and within the open dropdown, Home and End jump to the ends.
+ * @param {KeyboardEvent} e The keydown event
  */
-function toggleAllNavSections(sections, expanded = false) {
-  sections.querySelectorAll('.nav-sections .default-content-wrapper > ul > li').forEach((section) => {
-    section.setAttribute('aria-expanded', expanded);
-  });
+function navigateOnKeydown(e) {
+  if (!isDesktop.matches) return;
+  const navSections = e.currentTarget;
+  const controls = getTopControls(navSections);
+  const index = controls.indexOf(e.target);
+  const wrap = (list, i) => list[(i + list.length) % list.length];
+
+  if (index >= 0) {
+    const panel = e.target.classList.contains('nav-drop-button') && e.target.nextElementSibling;
+    let target;
+    if (e.key === 'ArrowRight') target = wrap(controls, index + 1);
+    else if (e.key === 'ArrowLeft') target = wrap(controls, index - 1);
+    else if (e.key === 'Home') [target] = controls;
+    else if (e.key === 'End') target = controls[controls.length - 1];
+    else if (e.key === 'ArrowDown' && panel) {
+      e.preventDefault();
+      toggleNavDrop(e.target, true);
+      const first = panel.querySelector('.nav-drop-items a');
+      if (first) first.focus();
+      return;
+    } else return;
+    e.preventDefault();
+    toggleAllNavSections(navSections);
+    setTopTabStop(navSections, target);
+    target.focus();
+    return;
+  }
+
+  const panel = e.target.closest('.nav-drop-panel');
+  if (!panel) return;
+  const links = [...panel.querySelectorAll('.nav-drop-items a')];
+  const columns = [...panel.querySelectorAll('.nav-drop-items > li')];
+  const i = links.indexOf(e.target);
+  const column = columns.indexOf(e.target.closest('.nav-drop-items > li'));
+  const firstLinkOf = (li) => li && li.querySelector('a');
+  let target;
+  if (e.key === 'ArrowDown') target = wrap(links, i + 1);
+  else if (e.key === 'ArrowUp') target = wrap(links, i - 1);
+  else if (e.key === 'Home') [target] = links;
+  else if (e.key === 'End') target = links[links.length - 1];
+  else if (e.key === 'ArrowRight') target = firstLinkOf(columns[column + 1]);
+  else if (e.key === 'ArrowLeft') target = firstLinkOf(columns[column - 1]);
+  else return;
+  e.preventDefault();
+  if (target) target.focus();
 }
 
 /**
@@ -73,22 +161,14 @@ function toggleMenu(nav, navSections, forceExpanded = null) {
   const button = nav.querySelector('.nav-hamburger button');
   document.body.style.overflowY = (expanded || isDesktop.matches) ? '' : 'hidden';
   nav.setAttribute('aria-expanded', expanded ? 'false' : 'true');
-  toggleAllNavSections(navSections, expanded || isDesktop.matches ? 'false' : 'true');
-  button.setAttribute('aria-label', expanded ? 'Open navigation' : 'Close navigation');
-  // enable nav dropdown keyboard accessibility
-  const navDrops = navSections.querySelectorAll('.nav-drop');
+  toggleAllNavSections(navSections);
+  button.setAttribute('aria-label', expanded ? labels.openNavigation : labels.closeNavigation);
+  // roving tabindex across the top level sections on desktop
+  const controls = getTopControls(navSections);
   if (isDesktop.matches) {
-    navDrops.forEach((drop) => {
-      if (!drop.hasAttribute('tabindex')) {
-        drop.setAttribute('tabindex', 0);
-        drop.addEventListener('focus', focusNavSection);
-      }
-    });
+    controls.forEach((control, i) => control.setAttribute('tabindex', i === 0 ? 0 : -1));
   } else {
-    navDrops.forEach((drop) => {
-      drop.removeAttribute('tabindex');
-      drop.removeEventListener('focus', focusNavSection);
-    });
+    controls.forEach((control) => control.removeAttribute('tabindex'));
   }
 
   // enable menu collapse on escape keypress
@@ -103,6 +183,265 @@ function toggleMenu(nav, navSections, forceExpanded = null) {
   }
 }
 
+/**
+ * Decorates a top level nav section with a nested list as dropdown:
+ * the label becomes a toggle button and the nested list a panel of links,
+ * groups of links under a heading (columns) and promotions with an image.
+ * @param {Element} navSection The top level list item
+ * @param {number} index The index of the section, used for ids
+ */
+function decorateNavDrop(navSection, index) {
+  const items = navSection.querySelector(':scope > ul');
+  navSection.classList.add('nav-drop');
+  items.classList.add('nav-drop-items');
+
+  const label = [...navSection.childNodes].filter((node) => node !== items);
+  const labelLink = navSection.querySelector(':scope > a, :scope > p > a');
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'nav-drop-button';
+  button.id = `nav-drop-${index}-button`;
+  button.textContent = label.map((node) => node.textContent).join('').trim();
+  button.setAttribute('aria-expanded', 'false');
+  button.setAttribute('aria-controls', `nav-drop-${index}`);
+  label.forEach((node) => node.remove());
+
+  // a linked label stays reachable as first item of the dropdown
+  if (labelLink) {
+    const overview = document.createElement('li');
+    overview.className = 'nav-overview';
+    overview.append(labelLink);
+    items.prepend(overview);
+  }
+
+  [...items.children].forEach((item) => {
+    if (item.querySelector('picture')) {
+      item.classList.add('nav-promo');
+    } else if (item.querySelector(':scope > ul')) {
+      item.classList.add('nav-group');
+      const heading = document.createElement('p');
+      heading.className = 'nav-group-heading';
+      [...item.childNodes]
+        .filter((node) => node.nodeName !== 'UL')
+        .forEach((node) => heading.append(node));
+      item.prepend(heading);
+    }
+  });
+
+  const back = document.createElement('button');
+  back.type = 'button';
+  back.className = 'nav-drop-back';
+  back.textContent = labels.back;
+  back.addEventListener('click', () => {
+    button.setAttribute('aria-expanded', 'false');
+    button.focus();
+  });
+
+  const panel = document.createElement('div');
+  panel.className = 'nav-drop-panel';
+  panel.id = `nav-drop-${index}`;
+  panel.setAttribute('aria-labelledby', button.id);
+  if (items.querySelector('.nav-group, .nav-promo')) {
+    navSection.classList.add('nav-mega');
+    panel.classList.add('nav-drop-mega');
+  }
+  panel.append(back, items);
+
+  button.addEventListener('click', () => {
+    const expand = button.getAttribute('aria-expanded') !== 'true';
+    toggleNavDrop(button, expand);
+    // the drill-down hides the button on mobile, keep focus inside the menu
+    if (expand && !isDesktop.matches) back.focus();
+  });
+  navSection.append(button, panel);
+}
+
+/**
+ * Adds a search toggle to the nav tools, the search block is loaded on first use.
+ * @param {Element} navTools The nav tools element
+ */
+function decorateNavSearch(navTools) {
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'nav-search-button';
+  toggle.setAttribute('aria-label', labels.search);
+  toggle.setAttribute('aria-expanded', 'false');
+  toggle.setAttribute('aria-controls', 'nav-search-panel');
+  toggle.innerHTML = '<span class="icon icon-search"></span>';
+  decorateIcons(toggle);
+
+  const panel = document.createElement('div');
+  panel.id = 'nav-search-panel';
+  panel.className = 'nav-search-panel';
+  panel.hidden = true;
+
+  const close = () => {
+    toggle.setAttribute('aria-expanded', 'false');
+    panel.hidden = true;
+  };
+  toggle.addEventListener('click', async () => {
+    if (toggle.getAttribute('aria-expanded') === 'true') {
+      close();
+      return;
+    }
+    toggle.setAttribute('aria-expanded', 'true');
+    panel.hidden = false;
+    if (!panel.firstElementChild) {
+      const block = buildBlock('search', '');
+      const blockWrapper = document.createElement('div');
+      blockWrapper.append(block);
+      panel.append(blockWrapper);
+      decorateBlock(block);
+      await loadBlock(block);
+    }
+    const input = panel.querySelector('input');
+    if (input) input.focus();
+  });
+  panel.addEventListener('keydown', (e) => {
+    if (e.code === 'Escape') {
+      close();
+      toggle.focus();
+    }
+  });
+
+  const wrapper = document.createElement('div');
+  wrapper.className = 'nav-search';
+  wrapper.append(toggle, panel);
+  navTools.append(wrapper);
+}
+
+/**
+ * Adds the light/dark toggle to the nav tools, the choice is kept for later visits.
+ * @param {Element} navTools The nav tools element
+ */
+function decorateNavTheme(navTools) {
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'nav-theme-button';
+  toggle.setAttribute('aria-label', labels.darkMode);
+  const update = () => toggle.setAttribute('aria-pressed', getColorScheme() === 'dark');
+  toggle.addEventListener('click', () => {
+    setColorScheme(getColorScheme() === 'dark' ? 'light' : 'dark');
+  });
+  document.addEventListener('colorschemechange', update);
+  update();
+  navTools.append(toggle);
+}
+
+/**
+ * Strips the trailing slash of a path, except for the root.
+ * @param {string} path The path
+ * @returns {string} The normalized path
+ */
+function normalizePath(path) {
+  return path.length > 1 && path.endsWith('/') ? path.slice(0, -1) : path;
+}
+
+/**
+ * Turns a path segment into a readable label, e.g. `summer-sale` into `Summer Sale`.
+ * @param {string} segment The path segment
+ * @returns {string} The label
+ */
+function prettifySegment(segment) {
+  return decodeURIComponent(segment)
+    .split(/[-_]/)
+    .filter((word) => word)
+    .map((word) => `${word[0].toUpperCase()}${word.substring(1)}`)
+    .join(' ');
+}
+
+/**
+ * Resolves the crumbs of the current page, from the locale root down to the page.
+ * Labels come from the nav links, then the index titles, then the path segments.
+ * @param {Element} nav The nav element
+ * @returns {Promise<Array<object>>} The crumbs with path and label
+ */
+async function resolveCrumbs(nav) {
+  const { pathname } = window.location;
+  const { prefix } = getLocale();
+  const root = prefix && pathname.startsWith(`${prefix}/`) ? prefix : '';
+  const segments = pathname.substring(root.length).split('/').filter((segment) => segment);
+  const crumbs = [{ path: `${root}/`, segment: '' }];
+  segments.forEach((segment, i) => {
+    crumbs.push({ path: `${root}/${segments.slice(0, i + 1).join('/')}`, segment });
+  });
+
+  const navLabels = new Map();
+  nav.querySelectorAll('a[href]').forEach((a) => {
+    const url = new URL(a.href, window.location.href);
+    const label = a.textContent.trim();
+    const path = normalizePath(url.pathname);
+    if (url.origin === window.location.origin && label && !navLabels.has(path)) {
+      navLabels.set(path, label);
+    }
+  });
+
+  const missing = crumbs.map(({ path }) => path).filter((path) => !navLabels.has(path));
+  const titles = new Map();
+  if (missing.length) {
+    try {
+      const entries = await queryIndex()
+        .filter((entry) => missing.includes(normalizePath(entry.path || '')))
+        .limit(missing.length)
+        .all();
+      entries.forEach((entry) => titles.set(normalizePath(entry.path), entry.title));
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.warn('failed to load breadcrumb titles', error);
+    }
+  }
+
+  return crumbs.map(({ path, segment }) => ({
+    path,
+    label: navLabels.get(path) || titles.get(path) || prettifySegment(segment) || labels.home,
+  }));
+}
+
+/**
+ * Builds the breadcrumbs of the current page and their BreadcrumbList structured data.
+ * @param {Element} nav The nav element
+ * @returns {Promise<Element>} The breadcrumbs element
+ */
+async function buildBreadcrumbs(nav) {
+  const crumbs = await resolveCrumbs(nav);
+  const breadcrumbs = document.createElement('nav');
+  breadcrumbs.className = 'breadcrumbs';
+  breadcrumbs.setAttribute('aria-label', labels.breadcrumbs);
+  const list = document.createElement('ol');
+  crumbs.forEach(({ path, label }, i) => {
+    const li = document.createElement('li');
+    if (i === crumbs.length - 1) {
+      const current = document.createElement('span');
+      current.setAttribute('aria-current', 'page');
+      current.textContent = label;
+      li.append(current);
+    } else {
+      const a = document.createElement('a');
+      a.href = path;
+      a.textContent = label;
+      li.append(a);
+    }
+    list.append(li);
+  });
+  breadcrumbs.append(list);
+
+  const script = document.createElement('script');
+  script.type = 'application/ld+json';
+  script.textContent = JSON.stringify({
+    '@context': 'https://schema.org',
+    '@type': 'BreadcrumbList',
+    itemListElement: crumbs.map(({ path, label }, i) => ({
+      '@type': 'ListItem',
+      position: i + 1,
+      name: label,
+      item: new URL(path, window.location.href).href,
+    })),
+  });
+  document.head.append(script);
+
+  return breadcrumbs;
+}
+
 /**
  * loads and decorates the header, mainly the nav
  * @param {Element} block The header block element
@@ -111,7 +450,13 @@ export default async function decorate(block) {
   // load nav as fragment
   const navMeta = getMetadata('nav');
   const navPath = navMeta ? new URL(navMeta, window.location).pathname : '/nav';
-  const fragment = await loadFragment(navPath);
+  const [fragment, placeholders] = await Promise.all([
+    loadFragment(navPath),
+    fetchPlaceholders(),
+  ]);
+  Object.keys(labels).forEach((key) => {
+    if (placeholders[key]) labels[key] = placeholders[key];
+  });
 
   // decorate nav DOM
   block.textContent = '';
@@ -134,16 +479,26 @@ export default async function decorate(block) {
 
   const navSections = nav.querySelector('.nav-sections');
   if (navSections) {
-    navSections.querySelectorAll(':scope .default-content-wrapper > ul > li').forEach((navSection) => {
-      if (navSection.querySelector('ul')) navSection.classList.add('nav-drop');
-      navSection.addEventListener('click', () => {
-        if (isDesktop.matches) {
-          const expanded = navSection.getAttribute('aria-expanded') === 'true';
-          toggleAllNavSections(navSections);
-          navSection.setAttribute('aria-expanded', expanded ? 'false' : 'true');
-        }
-      });
+    navSections.querySelectorAll(':scope .button').forEach((button) => {
+      button.className = '';
+      button.closest('.button-container').className = '';
+    });
+    navSections.querySelectorAll(':scope .default-content-wrapper > ul > li').forEach((navSection, i) => {
+      if (navSection.querySelector(':scope > ul')) decorateNavDrop(navSection, i);
     });
+    navSections.addEventListener('keydown', navigateOnKeydown);
+    navSections.addEventListener('focusin', (e) => {
+      // keep the roving tabindex on the section that last had focus
+      if (isDesktop.matches && getTopControls(navSections).includes(e.target)) {
+        setTopTabStop(navSections, e.target);
+      }
+    });
+  }
+
+  const navTools = nav.querySelector('.nav-tools');
+  if (navTools) {
+    decorateNavSearch(navTools);
+    decorateNavTheme(navTools);
   }
 
   // hamburger for mobile
@@ -163,4 +518,8 @@ export default async function decorate(block) {
   navWrapper.className = 'nav-wrapper';
   navWrapper.append(nav);
   block.append(navWrapper);
+
+  if (getMetadata('breadcrumbs').toLowerCase() === 'true') {
+    block.append(await buildBreadcrumbs(nav));
+  }
 }
@@ -0,0 +1,109 @@
+import { createOptimizedPicture } from '../../scripts/aem.js';
+import { buildVideoToggle, getVideoType } from '../../scripts/video.js';
+
+// the hero spans the viewport, unless it shares it with the text in the split layout
+const FULL_BLEED_BREAKPOINTS = [
+  { media: '(min-width: 1200px)', width: '2400' },
+  { media: '(min-width: 600px)', width: '1600' },
+  { width: '750' },
+];
+const SPLIT_BREAKPOINTS = [
+  { media: '(min-width: 900px)', width: '1200' },
+  { width: '750' },
+];
+
+/**
+ * Builds the background video, shown over its poster once it plays.
+ * @param {Element} a The link to the video file
+ * @param {Element} [poster] The poster image
+ * @returns {Element} The video container with its play/pause toggle
+ */
+function buildVideo(a, poster) {
+  const video = document.createElement('video');
+  video.muted = true;
+  video.loop = true;
+  video.playsInline = true;
+  video.preload = 'none';
+  video.setAttribute('aria-hidden', 'true');
+  if (poster) video.poster = poster.currentSrc || poster.src;
+  const source = document.createElement('source');
+  source.src = a.href;
+  source.type = getVideoType(a.href);
+  video.append(source);
+  video.addEventListener('playing', () => video.classList.add('hero-video-playing'));
+  const toggle = buildVideoToggle(video, 'hero-video-toggle');
+
+  // the poster stays the LCP, motion only starts for visitors who did not opt out
+  if (!window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+    window.addEventListener('load', () => video.play().catch(() => {}), { once: true });
+    if (document.readyState === 'complete') video.play().catch(() => {});
+  }
+
+  const container = document.createElement('div');
+  container.className = 'hero-video';
+  container.append(video, toggle);
+  return container;
+}
+
+/**
+ * Groups consecutive buttons into button groups.
+ * @param {Element} content The hero content
+ */
+function groupButtons(content) {
+  let group = null;
+  [...content.children].forEach((child) => {
+    if (!child.classList.contains('button-container')) {
+      group = null;
+      return;
+    }
+    if (!group) {
+      group = document.createElement('div');
+      group.className = 'hero-buttons';
+      child.before(group);
+    }
+    group.append(child);
+  });
+}
+
+export default function decorate(block) {
+  const split = block.classList.contains('split');
+  const media = document.createElement('div');
+  media.className = 'hero-media';
+  const content = document.createElement('div');
+  content.className = 'hero-content';
+
+  // authored rows and cells are flattened, the picture and video link are the media
+  const cells = [...block.querySelectorAll(':scope > div > div')];
+  const picture = block.querySelector('picture');
+  const videoLink = [...block.querySelectorAll('a[href]')].find((a) => getVideoType(a.href));
+  const mediaFirst = !picture || cells.findIndex((cell) => cell.contains(picture)) === 0;
+
+  if (picture) {
+    const img = picture.querySelector('img');
+    const optimized = createOptimizedPicture(
+      img.src,
+      img.alt,
+      true,
+      split ? SPLIT_BREAKPOINTS : FULL_BLEED_BREAKPOINTS,
+    );
+    const wrapper = picture.closest('p') || picture;
+    wrapper.remove();
+    media.append(optimized);
+  }
+  if (videoLink) {
+    const poster = media.querySelector('img');
+    const wrapper = videoLink.closest('.button-container') || videoLink.closest('p') || videoLink;
+    wrapper.remove();
+    media.append(buildVideo(videoLink, poster));
+  }
+
+  cells.forEach((cell) => content.append(...cell.childNodes));
+  groupButtons(content);
+
+  block.replaceChildren();
+  if (media.children.length) block.append(media);
+  if (content.children.length) {
+    if (split && !mediaFirst) block.prepend(content);
+    else block.append(content);
+  }
+}
@@ -0,0 +1,93 @@
+/*
+ * Modal
+ * Shows a fragment in a native dialog. Links to /modals/ pages open their
+ * fragment in a modal, blocks can open one with `openModal(path)`.
+ */
+
+import { loadCSS } from '../../scripts/aem.js';
+import { fetchPlaceholders } from '../../scripts/placeholders.js';
+// eslint-disable-next-line import/no-cycle
+import { loadFragment } from '../fragment/fragment.js';
+
+let instances = 0;
+
+/**
+ * Builds a modal dialog around content, removed from the page once closed.
+ * @param {Array<Node>} contentNodes The content of the modal
+ * @returns {Promise<object>} The modal with its `dialog` and `showModal` and `close` functions
+ */
+export async function createModal(contentNodes) {
+  const [placeholders] = await Promise.all([
+    fetchPlaceholders(),
+    loadCSS(`${window.hlx.codeBasePath}/blocks/modal/modal.css`),
+  ]);
+  instances += 1;
+  const id = `modal-${instances}`;
+
+  const dialog = document.createElement('dialog');
+  dialog.className = 'modal';
+  const content = document.createElement('div');
+  content.className = 'modal-content';
+  content.append(...contentNodes);
+
+  // the first heading names the dialog for screen readers
+  const heading = content.querySelector('h1, h2, h3');
+  if (heading) {
+    heading.id = heading.id || `${id}-title`;
+    dialog.setAttribute('aria-labelledby', heading.id);
+  } else {
+    dialog.setAttribute('aria-label', placeholders.dialog || 'Dialog');
+  }
+
+  const close = document.createElement('button');
+  close.type = 'button';
+  close.className = 'modal-close';
+  close.setAttribute('aria-label', placeholders.close || 'Close');
+  close.addEventListener('click', () => dialog.close());
+  dialog.append(close, content);
+
+  // clicks on the backdrop land on the dialog itself, outside of its box
+  dialog.addEventListener('click', (e) => {
+    if (e.target !== dialog) return;
+    const rect = dialog.getBoundingClientRect();
+    const inside = e.clientX >= rect.left && e.clientX <= rect.right
+      && e.clientY >= rect.top && e.clientY <= rect.bottom;
+    if (!inside) dialog.close();
+  });
+
+  let opener = null;
+  dialog.addEventListener('close', () => {
+    document.body.classList.remove('modal-open');
+    dialog.remove();
+    if (opener && opener.isConnected) opener.focus();
+  });
+
+  return {
+    dialog,
+    showModal() {
+      opener = document.activeElement;
+      document.body.append(dialog);
+      // showModal makes the rest of the page inert and closes on Escape
+      dialog.showModal();
+      document.body.classList.add('modal-open');
+      content.scrollTop = 0;
+    },
+    close() {
+      dialog.close();
+    },
+  };
+}
+
+/**
+ * Opens a fragment in a modal. The fragment is fetched the first time it is opened.
+ * @param {string} path The path or URL of the fragment
+ * @returns {Promise<object|null>} The modal, null if the fragment does not exist
+ */
+export async function openModal(path) {
+  const { pathname, hash } = new URL(path, window.location.href);
+  const fragment = await loadFragment(`${pathname}${hash}`);
+  if (!fragment) return null;
+  const modal = await createModal([...fragment.childNodes]);
+  modal.showModal();
+  return modal;
+}
@@ -0,0 +1,240 @@
+import { fetchPlaceholders } from '../../scripts/placeholders.js';
+import queryIndex from '../../scripts/query-index.js';
+
+export const configSchema = {
+  source: { type: 'url', default: '/query-index.json' },
+  limit: {
+    type: 'number',
+    min: 1,
+    max: 50,
+    default: 10,
+  },
+};
+
+// weight of a term matching each field of an index entry
+const FIELD_WEIGHTS = { title: 10, description: 3, content: 1 };
+
+let instances = 0;
+
+/**
+ * Splits a query into lower case terms.
+ * @param {string} query The search query
+ * @returns {Array<string>} The terms
+ */
+function getTerms(query) {
+  return [...new Set(query.toLowerCase().split(/\s+/).filter((term) => term.length > 1))];
+}
+
+/**
+ * Scores an index entry, every term has to match at least one field.
+ * @param {object} entry The index entry
+ * @param {Array<string>} terms The search terms
+ * @returns {number} The score, 0 if the entry does not match
+ */
+function scoreEntry(entry, terms) {
+  let score = 0;
+  const allMatch = terms.every((term) => {
+    let termScore = 0;
+    Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+      const value = (entry[field] || '').toLowerCase();
+      const index = value.indexOf(term);
+      if (index >= 0) {
+        // matches at the start of a word count double
+        const wordStart = index === 0 || /\W/.test(value[index - 1]);
+        termScore += weight * (wordStart ? 2 : 1);
+      }
+    });
+    score += termScore;
+    return termScore > 0;
+  });
+  return allMatch ? score : 0;
+}
+
+/**
+ * Builds a text node list with the search terms wrapped in <mark>.
+ * @param {string} text The text
+ * @param {Array<string>} terms The search terms
+ * @returns {Array<Node>} The nodes
+ */
+function highlight(text, terms) {
+  const escaped = terms.map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return text.split(new RegExp(`(${escaped.join('|')})`, 'gi')).map((part, i) => {
+    if (i % 2 === 0) return document.createTextNode(part);
+    const mark = document.createElement('mark');
+    mark.textContent = part;
+    return mark;
+  });
+}
+
+/**
+ * Builds a result option.
+ * @param {object} entry The index entry
+ * @param {Array<string>} terms The search terms
+ * @param {string} id The option id
+ * @returns {Element} The option list item
+ */
+function buildResult(entry, terms, id) {
+  const li = document.createElement('li');
+  li.id = id;
+  li.setAttribute('role', 'option');
+  li.setAttribute('aria-selected', 'false');
+  const link = document.createElement('a');
+  link.href = entry.path;
+  link.tabIndex = -1;
+  const title = document.createElement('span');
+  title.className = 'search-result-title';
+  title.append(...highlight(entry.title || entry.path, terms));
+  link.append(title);
+  if (entry.description) {
+    const description = document.createElement('span');
+    description.className = 'search-result-description';
+    description.append(...highlight(entry.description, terms));
+    link.append(description);
+  }
+  li.append(link);
+  return li;
+}
+
+/**
+ * Keeps the search query in the `q` parameter of the page URL.
+ * @param {string} query The search query
+ */
+function syncUrl(query) {
+  const url = new URL(window.location.href);
+  if (query) url.searchParams.set('q', query);
+  else url.searchParams.delete('q');
+  window.history.replaceState(window.history.state, '', url);
+}
+
+export default async function decorate(block, config = {}) {
+  const { source = '/query-index.json', limit = 10 } = config;
+  const placeholders = await fetchPlaceholders();
+  instances += 1;
+  const id = `search-${instances}`;
+
+  const form = document.createElement('form');
+  form.setAttribute('role', 'search');
+  form.className = 'search-form';
+  const label = document.createElement('label');
+  label.htmlFor = `${id}-input`;
+  label.className = 'search-label';
+  label.textContent = placeholders.searchLabel || 'Search the site';
+  const input = document.createElement('input');
+  input.type = 'search';
+  input.id = `${id}-input`;
+  input.name = 'q';
+  input.autocomplete = 'off';
+  input.placeholder = placeholders.searchPlaceholder || 'Search';
+  input.setAttribute('role', 'combobox');
+  input.setAttribute('aria-autocomplete', 'list');
+  input.setAttribute('aria-expanded', 'false');
+  input.setAttribute('aria-controls', `${id}-results`);
+  form.append(label, input);
+
+  const results = document.createElement('ul');
+  results.id = `${id}-results`;
+  results.className = 'search-results';
+  results.setAttribute('role', 'listbox');
+  results.setAttribute('aria-label', label.textContent);
+  results.hidden = true;
+  const status = document.createElement('p');
+  status.className = 'search-status';
+  status.setAttribute('role', 'status');
+
+  let active = -1;
+  const options = () => [...results.children];
+  const setActive = (index) => {
+    options().forEach((option, i) => option.setAttribute('aria-selected', i === index));
+    active = index;
+    if (index >= 0) {
+      input.setAttribute('aria-activedescendant', options()[index].id);
+      options()[index].scrollIntoView({ block: 'nearest' });
+    } else {
+      input.removeAttribute('aria-activedescendant');
+    }
+  };
+
+  let latest = 0;
+  const search = async (query) => {
+    latest += 1;
+    const run = latest;
+    syncUrl(query);
+    const terms = getTerms(query);
+    if (!terms.length) {
+      results.replaceChildren();
+      results.hidden = true;
+      input.setAttribute('aria-expanded', 'false');
+      status.textContent = '';
+      setActive(-1);
+      return;
+    }
+    let entries;
+    try {
+      entries = await queryIndex(source)
+        .map((entry) => ({ ...entry, score: scoreEntry(entry, terms) }))
+        .filter((entry) => entry.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .limit(limit)
+        .all();
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error(`failed to search ${source}`, error);
+      if (run !== latest) return;
+      results.replaceChildren();
+      results.hidden = true;
+      input.setAttribute('aria-expanded', 'false');
+      setActive(-1);
+      status.textContent = placeholders.searchError || 'Search is not available, please try again.';
+      return;
+    }
+    // a newer query started while this one was running
+    if (run !== latest) return;
+    results.replaceChildren(...entries.map((entry, i) => buildResult(entry, terms, `${id}-result-${i}`)));
+    results.hidden = !entries.length;
+    input.setAttribute('aria-expanded', entries.length > 0);
+    setActive(-1);
+    status.textContent = entries.length
+      ? `${entries.length} ${placeholders.searchResults || 'results'}`
+      : `${placeholders.searchNoResults || 'No results for'} “${query}”`;
+  };
+
+  let timeout;
+  input.addEventListener('input', () => {
+    clearTimeout(timeout);
+    timeout = setTimeout(() => search(input.value.trim()), 200);
+  });
+
+  input.addEventListener('keydown', (e) => {
+    const count = options().length;
+    if (e.key === 'ArrowDown' && count) {
+      e.preventDefault();
+      setActive((active + 1) % count);
+    } else if (e.key === 'ArrowUp' && count) {
+      e.preventDefault();
+      setActive((active - 1 + count) % count);
+    } else if (e.key === 'Escape' && input.value) {
+      e.stopPropagation();
+      input.value = '';
+      search('');
+    }
+  });
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const option = options()[active];
+    if (option) {
+      window.location.href = option.querySelector('a').href;
+    } else {
+      clearTimeout(timeout);
+      search(input.value.trim());
+    }
+  });
+
+  block.replaceChildren(form, status, results);
+
+  const query = new URLSearchParams(window.location.search).get('q');
+  if (query) {
+    input.value = query;
+    await search(query.trim());
+  }
+}
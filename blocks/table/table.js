@@ -0,0 +1,312 @@
+import { readBlockConfig, toClassName } from '../../scripts/aem.js';
+import { fetchPlaceholders } from '../../scripts/placeholders.js';
+import queryIndex from '../../scripts/query-index.js';
+
+// config of tables filled from a JSON sheet, used when the block has a `source` row
+const sheetConfigSchema = {
+  source: { type: 'url', required: true },
+  sheet: { type: 'string' },
+  columns: { type: 'list' },
+  'page-size': {
+    type: 'number',
+    min: 0,
+    max: 500,
+    default: 0,
+  },
+  filter: { type: 'boolean', default: true },
+};
+
+// page size of authored tables with the `paginated` variant
+const DEFAULT_PAGE_SIZE = 10;
+
+let instances = 0;
+
+// a number with thousands separators, after a currency symbol or before a unit,
+// e.g. `$1,200.50`, `-3.5 %` or `15 GB`, but not `iPhone 15` or `Q1 2024`
+const NUMBER_PATTERN = /^([+-]?)[$€£¥₹]?\s*([+-]?)((?:\d{1,3}(?:[,\s]\d{3})+|\d+)(?:\.\d+)?|\.\d+)\s*(?:%|[a-zA-Zµ°]{1,5})?$/;
+
+/**
+ * Parses a cell as number, ignoring a currency symbol, thousands separators and a unit.
+ * @param {string} text The cell text
+ * @returns {number} The number, NaN if the cell is not numeric
+ */
+function parseNumber(text) {
+  const match = text.trim().match(NUMBER_PATTERN);
+  if (!match) return NaN;
+  const [, sign, currencySign, digits] = match;
+  if (sign && currencySign) return NaN;
+  return Number(`${sign || currencySign}${digits.replace(/[,\s]/g, '')}`);
+}
+
+// dates in an explicit shape only, labels like `Room 101` parse as dates otherwise:
+// `2024-03-05` (with an optional time), `5/3/2024` (day first) or `March 5, 2024`
+const MONTH = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?'
+  + '|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+const NUMERIC_DATE_PATTERN = /^(\d{1,2})[/.](\d{1,2})[/.](\d{4})$/;
+const NAMED_DATE_PATTERN = new RegExp(`^(?:\\d{1,2}\\s+${MONTH}|${MONTH}(?:\\s+\\d{1,2}(?:st|nd|rd|th)?,?)?)\\s+\\d{4}$`, 'i');
+
+/**
+ * Parses a cell as date, if it has one of the accepted date shapes.
+ * @param {string} text The cell text
+ * @returns {number} The timestamp, NaN if the cell is not a date
+ */
+function parseDate(text) {
+  const value = text.trim();
+  const numeric = value.match(NUMERIC_DATE_PATTERN);
+  if (numeric) {
+    const [, day, month, year] = numeric.map(Number);
+    const date = new Date(year, month - 1, day);
+    return date.getMonth() === month - 1 && date.getDate() === day ? date.getTime() : NaN;
+  }
+  if (ISO_DATE_PATTERN.test(value) || NAMED_DATE_PATTERN.test(value)) {
+    return Date.parse(value.replace(/(\d)(st|nd|rd|th)\b/i, '$1'));
+  }
+  return NaN;
+}
+
+/**
+ * Detects the sort type of a column from its values.
+ * @param {Array<string>} values The cell texts
+ * @returns {string} One of number, date or text
+ */
+function detectType(values) {
+  const filled = values.filter((value) => value);
+  if (!filled.length) return 'text';
+  if (filled.every((value) => !Number.isNaN(parseNumber(value)))) return 'number';
+  if (filled.every((value) => !Number.isNaN(parseDate(value)))) return 'date';
+  return 'text';
+}
+
+/**
+ * Turns a cell text into the value it sorts by.
+ * @param {string} text The cell text
+ * @param {string} type The column type
+ * @returns {number|string} The sort value
+ */
+function toSortValue(text, type) {
+  if (type === 'number') return parseNumber(text);
+  if (type === 'date') return parseDate(text);
+  return text;
+}
+
+/**
+ * Reads the rows of a JSON sheet.
+ * @param {object} config The sheet config
+ * @returns {Promise<{headers: Array<string>, rows: Array<Array<string>>}>} The table data
+ */
+async function fetchSheetRows(config) {
+  let query = queryIndex(config.source);
+  if (config.sheet) query = query.sheet(config.sheet);
+  const entries = await query.all();
+  const headers = config.columns && config.columns.length
+    ? config.columns
+    : Object.keys(entries[0] || {});
+  return {
+    headers,
+    rows: entries.map((entry) => headers.map((header) => {
+      const cell = document.createElement('div');
+      const value = entry[header];
+      cell.textContent = value === undefined || value === null ? '' : value;
+      return cell;
+    })),
+  };
+}
+
+/**
+ * Reads the authored rows, the first row holds the column headers.
+ * @param {Element} block The table block
+ * @returns {{headers: Array<string>, rows: Array<Array<Element>>}} The table data
+ */
+function readAuthoredRows(block) {
+  const [head, ...rows] = [...block.children].map((row) => [...row.children]);
+  return {
+    headers: (head || []).map((cell) => cell.textContent.trim()),
+    rows,
+  };
+}
+
+/**
+ * Builds a table with sorting, filtering and pagination.
+ * @param {Element} block The table block
+ * @param {{headers: Array<string>, rows: Array<Array<Element>>}} data The table data
+ * @param {object} options The `pageSize` (0 for no pagination) and whether to `filter`
+ */
+async function buildTable(block, { headers, rows }, { pageSize, filter }) {
+  const placeholders = await fetchPlaceholders();
+  instances += 1;
+  const id = `table-${instances}`;
+
+  const columns = headers.map((label, i) => ({
+    label,
+    type: detectType(rows.map((cells) => (cells[i] ? cells[i].textContent.trim() : ''))),
+  }));
+  const records = rows.map((cells, index) => {
+    const tr = document.createElement('tr');
+    columns.forEach((column, i) => {
+      const td = document.createElement('td');
+      td.dataset.label = column.label;
+      if (column.type === 'number') td.classList.add('table-number');
+      if (cells[i]) td.append(...cells[i].childNodes);
+      tr.append(td);
+    });
+    const texts = [...tr.children].map((td) => td.textContent.trim());
+    return {
+      tr,
+      index,
+      values: texts.map((text, i) => toSortValue(text, columns[i].type)),
+      text: texts.join(' ').toLowerCase(),
+    };
+  });
+
+  const table = document.createElement('table');
+  table.id = `${id}-table`;
+  const thead = document.createElement('thead');
+  const headRow = document.createElement('tr');
+  const sortButtons = columns.map((column, i) => {
+    const th = document.createElement('th');
+    th.scope = 'col';
+    th.className = `table-${column.type}`;
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'table-sort';
+    button.textContent = column.label;
+    button.dataset.column = i;
+    th.append(button);
+    headRow.append(th);
+    return button;
+  });
+  thead.append(headRow);
+  const tbody = document.createElement('tbody');
+  table.append(thead, tbody);
+
+  const status = document.createElement('p');
+  status.className = 'table-status';
+  status.setAttribute('role', 'status');
+
+  const state = {
+    column: -1,
+    direction: 'ascending',
+    query: '',
+    page: 0,
+  };
+  const collator = new Intl.Collator(document.documentElement.lang || undefined, { numeric: true });
+
+  const pagination = document.createElement('nav');
+  pagination.className = 'table-pagination';
+  pagination.setAttribute('aria-label', placeholders.tablePagination || 'Table pages');
+  const previous = document.createElement('button');
+  previous.type = 'button';
+  previous.textContent = placeholders.previous || 'Previous';
+  previous.setAttribute('aria-controls', table.id);
+  const pageLabel = document.createElement('span');
+  pageLabel.className = 'table-page';
+  const next = document.createElement('button');
+  next.type = 'button';
+  next.textContent = placeholders.next || 'Next';
+  next.setAttribute('aria-controls', table.id);
+  pagination.append(previous, pageLabel, next);
+
+  const render = () => {
+    const terms = state.query.toLowerCase().split(/\s+/).filter((term) => term);
+    const matching = records.filter(({ text }) => terms.every((term) => text.includes(term)));
+    if (state.column >= 0) {
+      const { column, direction } = state;
+      const { type } = columns[column];
+      matching.sort((a, b) => {
+        const x = a.values[column];
+        const y = b.values[column];
+        // empty cells go last in both directions
+        const xEmpty = x === '' || Number.isNaN(x);
+        const yEmpty = y === '' || Number.isNaN(y);
+        if (xEmpty || yEmpty) return xEmpty - yEmpty || a.index - b.index;
+        const order = type === 'text' ? collator.compare(x, y) : x - y;
+        return (direction === 'ascending' ? order : -order) || a.index - b.index;
+      });
+    }
+    const pages = pageSize ? Math.max(1, Math.ceil(matching.length / pageSize)) : 1;
+    state.page = Math.min(state.page, pages - 1);
+    const visible = pageSize
+      ? matching.slice(state.page * pageSize, (state.page + 1) * pageSize)
+      : matching;
+    tbody.replaceChildren(...visible.map(({ tr }) => tr));
+
+    sortButtons.forEach((button, i) => {
+      const th = button.parentElement;
+      if (i === state.column) th.setAttribute('aria-sort', state.direction);
+      else th.removeAttribute('aria-sort');
+    });
+    pagination.hidden = pages < 2;
+    previous.disabled = state.page === 0;
+    next.disabled = state.page >= pages - 1;
+    pageLabel.textContent = `${placeholders.page || 'Page'} ${state.page + 1} / ${pages}`;
+    status.textContent = matching.length === records.length
+      ? `${records.length} ${placeholders.tableRows || 'rows'}`
+      : `${matching.length} / ${records.length} ${placeholders.tableRows || 'rows'}`;
+  };
+
+  thead.addEventListener('click', (e) => {
+    const button = e.target.closest('.table-sort');
+    if (!button) return;
+    const column = Number(button.dataset.column);
+    state.direction = state.column === column && state.direction === 'ascending'
+      ? 'descending'
+      : 'ascending';
+    state.column = column;
+    state.page = 0;
+    render();
+  });
+  previous.addEventListener('click', () => { state.page -= 1; render(); });
+  next.addEventListener('click', () => { state.page += 1; render(); });
+
+  const children = [];
+  if (filter) {
+    const label = document.createElement('label');
+    label.htmlFor = `${id}-filter`;
+    label.textContent = placeholders.tableFilter || 'Filter';
+    const input = document.createElement('input');
+    input.type = 'search';
+    input.id = `${id}-filter`;
+    input.setAttribute('aria-controls', table.id);
+    input.addEventListener('input', () => {
+      state.query = input.value;
+      state.page = 0;
+      render();
+    });
+    const filterWrapper = document.createElement('div');
+    filterWrapper.className = 'table-filter';
+    filterWrapper.append(label, input);
+    children.push(filterWrapper);
+  }
+  // wide tables scroll on their own instead of the page
+  const scroller = document.createElement('div');
+  scroller.className = 'table-scroller';
+  scroller.append(table);
+  children.push(status, scroller);
+  if (pageSize) children.push(pagination);
+  block.replaceChildren(...children);
+  render();
+}
+
+export default async function decorate(block) {
+  const firstCell = block.querySelector(':scope > div > div');
+  if (firstCell && toClassName(firstCell.textContent) === 'source') {
+    const config = readBlockConfig(block, sheetConfigSchema);
+    block.classList.add('table-sheet');
+    block.replaceChildren();
+    if (!config.source) return;
+    try {
+      const data = await fetchSheetRows(config);
+      await buildTable(block, data, { pageSize: config.pageSize, filter: config.filter });
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error(`failed to load table data from ${config.source}`, error);
+    }
+    return;
+  }
+
+  await buildTable(block, readAuthoredRows(block), {
+    pageSize: block.classList.contains('paginated') ? DEFAULT_PAGE_SIZE : 0,
+    filter: !block.classList.contains('no-filter'),
+  });
+}
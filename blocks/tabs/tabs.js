@@ -0,0 +1,68 @@
+import { buildDisclosureId, createDisclosure } from '../../scripts/disclosure.js';
+
+export default function decorate(block) {
+  const tablist = document.createElement('div');
+  tablist.className = 'tabs-list';
+  tablist.setAttribute('role', 'tablist');
+  // only a heading authored right before the tabs names them, not one inside a panel
+  const intro = block.parentElement.previousElementSibling;
+  const heading = intro && intro.classList.contains('default-content-wrapper')
+    ? [...intro.querySelectorAll(':scope > h2, :scope > h3')].pop()
+    : null;
+  if (heading) {
+    heading.id = heading.id || buildDisclosureId(`${heading.textContent}-heading`, 'tabs-heading');
+    tablist.setAttribute('aria-labelledby', heading.id);
+  }
+
+  // each row is a tab, its label followed by its panel
+  const items = [...block.children].map((row, i) => {
+    const [label, content] = row.children;
+    const id = buildDisclosureId(label.textContent, `tab-${i + 1}`);
+
+    const tab = document.createElement('button');
+    tab.type = 'button';
+    tab.className = 'tabs-tab';
+    tab.id = `${id}-tab`;
+    tab.setAttribute('role', 'tab');
+    tab.setAttribute('aria-controls', id);
+    tab.innerHTML = label.querySelector('p') ? label.querySelector('p').innerHTML : label.innerHTML;
+    tablist.append(tab);
+
+    const panel = content || document.createElement('div');
+    panel.className = 'tabs-panel';
+    panel.id = id;
+    panel.setAttribute('role', 'tabpanel');
+    panel.setAttribute('aria-labelledby', tab.id);
+    panel.tabIndex = 0;
+    return { id, control: tab, panel };
+  });
+
+  block.replaceChildren(tablist, ...items.map(({ panel }) => panel));
+
+  const disclosure = createDisclosure(items, {
+    attribute: 'aria-selected',
+    required: true,
+    // only the selected tab is in the tab sequence, arrow keys move between tabs
+    onChange: ({ control }, open) => { control.tabIndex = open ? 0 : -1; },
+  });
+
+  items.forEach((item) => {
+    item.control.addEventListener('click', () => disclosure.open(item));
+  });
+
+  tablist.addEventListener('keydown', (e) => {
+    const index = items.findIndex(({ control }) => control === e.target);
+    if (index < 0) return;
+    const keys = {
+      ArrowLeft: index - 1,
+      ArrowRight: index + 1,
+      Home: 0,
+      End: items.length - 1,
+    };
+    if (!(e.key in keys)) return;
+    e.preventDefault();
+    const item = items[(keys[e.key] + items.length) % items.length];
+    disclosure.open(item);
+    item.control.focus();
+  });
+}
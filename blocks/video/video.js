@@ -0,0 +1,97 @@
+import { createOptimizedPicture } from '../../scripts/aem.js';
+import { buildVideoToggle, getVideoType } from '../../scripts/video.js';
+
+/**
+ * Builds the caption track of a WebVTT link.
+ * The language is taken from the file name, e.g. `intro-de.vtt`, or the page language.
+ * @param {Element} a The link to the captions file
+ * @param {number} index The position of the track
+ * @returns {Element} The track
+ */
+function buildTrack(a, index) {
+  const { pathname } = new URL(a.href, window.location.href);
+  const [, lang] = pathname.match(/[-_.]([a-z]{2}(?:-[a-z]{2})?)\.vtt$/i) || [];
+  const text = a.textContent.trim();
+  const track = document.createElement('track');
+  track.kind = 'captions';
+  track.dataset.src = a.href;
+  track.srclang = lang || document.documentElement.lang || 'en';
+  track.label = text && !text.startsWith('http') ? text : track.srclang;
+  if (index === 0) track.default = true;
+  return track;
+}
+
+/**
+ * Adds the sources once the video gets near the viewport, so it never competes with the LCP.
+ * @param {Element} video The video
+ * @param {Array<string>} sources The video URLs
+ * @param {function} onLoad Called once the sources are set
+ */
+function lazyLoadSources(video, sources, onLoad) {
+  const observer = new IntersectionObserver((entries) => {
+    if (!entries.some((entry) => entry.isIntersecting)) return;
+    observer.disconnect();
+    sources.forEach((href) => {
+      const source = document.createElement('source');
+      source.src = href;
+      source.type = getVideoType(href);
+      video.append(source);
+    });
+    video.querySelectorAll('track[data-src]').forEach((track) => {
+      track.src = track.dataset.src;
+      delete track.dataset.src;
+    });
+    video.load();
+    onLoad();
+  }, { rootMargin: '300px' });
+  observer.observe(video);
+}
+
+export default function decorate(block) {
+  const links = [...block.querySelectorAll('a[href]')];
+  const sources = links.map((a) => a.href).filter(getVideoType);
+  if (!sources.length) {
+    // eslint-disable-next-line no-console
+    console.warn('video block without a video link');
+    return;
+  }
+  const background = block.classList.contains('background');
+  const reduceMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+  const picture = block.querySelector('picture');
+  const tracks = links.filter((a) => /\.vtt$/i.test(new URL(a.href).pathname)).map(buildTrack);
+  const title = links.map((a) => a.textContent.trim())
+    .find((text) => text && !text.startsWith('http'));
+
+  const video = document.createElement('video');
+  video.playsInline = true;
+  video.preload = 'none';
+  video.append(...tracks);
+  if (picture) {
+    const img = picture.querySelector('img');
+    const poster = createOptimizedPicture(img.src, img.alt, false, [{ width: '1600' }]);
+    video.poster = poster.querySelector('img').src;
+  }
+
+  const container = document.createElement('div');
+  container.className = 'video-player';
+  container.append(video);
+
+  if (background) {
+    // decorative, muted and looping, with a control to stop the motion
+    video.muted = true;
+    video.loop = true;
+    video.setAttribute('aria-hidden', 'true');
+    container.append(buildVideoToggle(video, 'video-toggle'));
+    reduceMotion.addEventListener('change', () => {
+      if (reduceMotion.matches) video.pause();
+    });
+  } else {
+    video.controls = true;
+    if (title) video.setAttribute('aria-label', title);
+  }
+
+  block.replaceChildren(container);
+  lazyLoadSources(video, sources, () => {
+    if (background && !reduceMotion.matches) video.play().catch(() => {});
+  });
+}
@@ -202,48 +202,131 @@ function toCamelCase(name) {
   return toClassName(name).replace(/-([a-z])/g, (g) => g[1].toUpperCase());
 }
 
+/**
+ * Reads the value of a block config cell.
+ * @param {Element} col The value column
+ * @returns {string|Array<string>} The link, image, paragraph or text value(s)
+ */
+function readConfigCell(col) {
+  if (col.querySelector('a')) {
+    const as = [...col.querySelectorAll('a')];
+    return as.length === 1 ? as[0].href : as.map((a) => a.href);
+  }
+  if (col.querySelector('img')) {
+    const imgs = [...col.querySelectorAll('img')];
+    return imgs.length === 1 ? imgs[0].src : imgs.map((img) => img.src);
+  }
+  if (col.querySelector('p')) {
+    const ps = [...col.querySelectorAll('p')];
+    return ps.length === 1 ? ps[0].textContent : ps.map((p) => p.textContent);
+  }
+  return col.textContent;
+}
+
+const reportedConfigErrors = new Set();
+
+/**
+ * Reports an invalid block config entry, once per page.
+ * @param {Element} block The block element
+ * @param {number} row The 1-based row of the entry, 0 if not authored
+ * @param {string} message The violation
+ */
+function reportConfigError(block, row, message) {
+  const blockName = block.dataset.blockName || block.classList[0];
+  const key = `${blockName}:${row}:${message}`;
+  if (reportedConfigErrors.has(key)) return;
+  reportedConfigErrors.add(key);
+  // eslint-disable-next-line no-console
+  console.warn(`invalid config in block ${blockName}${row ? `, row ${row}` : ''}: ${message}`);
+}
+
+/**
+ * Converts an authored config value to the type declared in a config schema.
+ * @param {string|Array<string>} raw The authored value
+ * @param {object} def The schema entry of the key
+ * @returns {{value: *, error: string}} The typed value, or the reason it is invalid
+ */
+function coerceConfigValue(raw, def) {
+  const text = (Array.isArray(raw) ? raw.join(', ') : raw).trim();
+  let value;
+  switch (def.type) {
+    case 'number':
+      value = Number(text);
+      if (!text || Number.isNaN(value)) return { error: `"${text}" is not a number` };
+      if (def.min !== undefined && value < def.min) return { error: `${value} is less than ${def.min}` };
+      if (def.max !== undefined && value > def.max) return { error: `${value} is more than ${def.max}` };
+      break;
+    case 'boolean':
+      value = ['true', 'yes', 'on', '1'].includes(text.toLowerCase());
+      if (!value && !['false', 'no', 'off', '0', ''].includes(text.toLowerCase())) {
+        return { error: `"${text}" is not a boolean` };
+      }
+      break;
+    case 'list':
+      value = (Array.isArray(raw) ? raw : raw.split(',')).map((v) => v.trim()).filter((v) => v);
+      break;
+    case 'url':
+      if (Array.isArray(raw)) return { error: 'expected a single link' };
+      try {
+        value = new URL(text, window.location.href).href;
+      } catch (e) {
+        return { error: `"${text}" is not a URL` };
+      }
+      break;
+    default:
+      value = text;
+  }
+  if (def.enum) {
+    const invalid = (Array.isArray(value) ? value : [value]).find((v) => !def.enum.includes(v));
+    if (invalid !== undefined) return { error: `"${invalid}" is not one of ${def.enum.join(', ')}` };
+  }
+  return { value };
+}
+
 /**
  * Extracts the config from a block.
+ * When a schema is given, values are converted to the declared types, defaults are applied
+ * and violations are reported with the block name and row.
  * @param {Element} block The block element
- * @returns {object} The block config
+ * @param {object} [schema] Config keys (e.g. `load-more`) mapped to
+ * `{ type, default, enum, required, min, max }`, where type is one of
+ * string (default), number, boolean, list or url
+ * @returns {object} The block config, with camelCased keys when a schema is given
  */
-// eslint-disable-next-line import/prefer-default-export
-function readBlockConfig(block) {
+function readBlockConfig(block, schema) {
   const config = {};
-  block.querySelectorAll(':scope > div').forEach((row) => {
+  const rows = {};
+  block.querySelectorAll(':scope > div').forEach((row, i) => {
     if (row.children) {
       const cols = [...row.children];
       if (cols[1]) {
-        const col = cols[1];
         const name = toClassName(cols[0].textContent);
-        let value = '';
-        if (col.querySelector('a')) {
-          const as = [...col.querySelectorAll('a')];
-          if (as.length === 1) {
-            value = as[0].href;
-          } else {
-            value = as.map((a) => a.href);
-          }
-        } else if (col.querySelector('img')) {
-          const imgs = [...col.querySelectorAll('img')];
-          if (imgs.length === 1) {
-            value = imgs[0].src;
-          } else {
-            value = imgs.map((img) => img.src);
-          }
-        } else if (col.querySelector('p')) {
-          const ps = [...col.querySelectorAll('p')];
-          if (ps.length === 1) {
-            value = ps[0].textContent;
-          } else {
-            value = ps.map((p) => p.textContent);
-          }
-        } else value = row.children[1].textContent;
-        config[name] = value;
+        config[name] = readConfigCell(cols[1]);
+        rows[name] = i + 1;
+      }
+    }
+  });
+  if (!schema) return config;
+
+  const typed = {};
+  Object.keys(config).forEach((name) => {
+    if (!schema[name]) reportConfigError(block, rows[name], `unknown key "${name}"`);
+  });
+  Object.entries(schema).forEach(([name, def]) => {
+    const key = toCamelCase(name);
+    if (config[name] !== undefined) {
+      const { value, error } = coerceConfigValue(config[name], def);
+      if (!error) {
+        typed[key] = value;
+        return;
       }
+      reportConfigError(block, rows[name], `${name}: ${error}`);
+    } else if (def.required) {
+      reportConfigError(block, 0, `missing required key "${name}"`);
     }
+    if (def.default !== undefined) typed[key] = def.default;
   });
-  return config;
+  return typed;
 }
 
 /**
@@ -553,9 +636,14 @@ function buildBlock(blockName, content) {
 
 /**
  * Loads JS and CSS for a block.
+ * A block module can declare the blocks it must be decorated after with
+ * `export const dependencies = ['block-name']`, and the schema of its config with
+ * `export const configSchema = { ... }` (see readBlockConfig) to be decorated with
+ * the typed config as second argument.
  * @param {Element} block The block element
+ * @param {function} [waitFor] Resolves once the given dependency block names are loaded
  */
-async function loadBlock(block) {
+async function loadBlock(block, waitFor) {
   const status = block.dataset.blockStatus;
   if (status !== 'loading' && status !== 'loaded') {
     block.dataset.blockStatus = 'loading';
@@ -568,8 +656,12 @@ async function loadBlock(block) {
             const mod = await import(
               `${window.hlx.codeBasePath}/blocks/${blockName}/${blockName}.js`
             );
+            if (waitFor && Array.isArray(mod.dependencies) && mod.dependencies.length) {
+              await waitFor(mod.dependencies);
+            }
             if (mod.default) {
-              await mod.default(block);
+              const { configSchema } = mod;
+              await mod.default(block, configSchema && readBlockConfig(block, configSchema));
             }
           } catch (error) {
             // eslint-disable-next-line no-console
@@ -588,6 +680,61 @@ async function loadBlock(block) {
   return block;
 }
 
+/**
+ * Loads blocks in parallel, honoring the dependencies they declare.
+ * @param {Array<Element>} blocks The block elements
+ * @param {number} [concurrency] Maximum number of blocks loading at once
+ * @returns {Promise} Settles once all blocks are loaded
+ */
+async function loadBlocks(blocks, concurrency = Infinity) {
+  const loading = new Map();
+  const waiting = new Map();
+  const queue = [];
+  let active = 0;
+
+  const acquire = () => new Promise((resolve) => {
+    if (active < concurrency) {
+      active += 1;
+      resolve();
+    } else {
+      queue.push(resolve);
+    }
+  });
+  const release = () => {
+    const next = queue.shift();
+    if (next) next();
+    else active -= 1;
+  };
+  const isWaitingOn = (from, to, seen = new Set()) => {
+    if (from === to) return true;
+    if (seen.has(from)) return false;
+    seen.add(from);
+    return (waiting.get(from) || []).some((dep) => isWaitingOn(dep, to, seen));
+  };
+
+  blocks.forEach((block) => {
+    loading.set(block, (async () => {
+      await acquire();
+      try {
+        await loadBlock(block, async (names) => {
+          const deps = blocks.filter((dep) => dep !== block
+            && names.includes(dep.dataset.blockName)
+            && !isWaitingOn(dep, block));
+          waiting.set(block, deps);
+          // free the slot while waiting so dependencies can start
+          release();
+          await Promise.allSettled(deps.map((dep) => loading.get(dep)));
+          waiting.delete(block);
+          await acquire();
+        });
+      } finally {
+        release();
+      }
+    })());
+  });
+  return Promise.allSettled(loading.values());
+}
+
 /**
  * Decorates a block.
  * @param {Element} block The block element
@@ -658,17 +805,17 @@ async function waitForFirstImage(section) {
 /**
  * Loads all blocks in a section.
  * @param {Element} section The section element
+ * @param {function} [loadCallback] Called once all blocks are loaded
+ * @param {object} [options] Loading options
+ * @param {number} [options.concurrency] Maximum number of blocks loading at once
  */
 
-async function loadSection(section, loadCallback) {
+async function loadSection(section, loadCallback, { concurrency } = {}) {
   const status = section.dataset.sectionStatus;
   if (!status || status === 'initialized') {
     section.dataset.sectionStatus = 'loading';
     const blocks = [...section.querySelectorAll('div.block')];
-    for (let i = 0; i < blocks.length; i += 1) {
-      // eslint-disable-next-line no-await-in-loop
-      await loadBlock(blocks[i]);
-    }
+    await loadBlocks(blocks, concurrency);
     if (loadCallback) await loadCallback(section);
     section.dataset.sectionStatus = 'loaded';
     section.style.display = null;
@@ -678,13 +825,14 @@ async function loadSection(section, loadCallback) {
 /**
  * Loads all sections.
  * @param {Element} element The parent element of sections to load
+ * @param {object} [options] Loading options, passed on to loadSection
  */
 
-async function loadSections(element) {
+async function loadSections(element, options) {
   const sections = [...element.querySelectorAll('div.section')];
   for (let i = 0; i < sections.length; i += 1) {
     // eslint-disable-next-line no-await-in-loop
-    await loadSection(sections[i]);
+    await loadSection(sections[i], null, options);
     if (i === 0 && sampleRUM.enhance) {
       sampleRUM.enhance();
     }
@@ -704,6 +852,7 @@ export {
   decorateTemplateAndTheme,
   getMetadata,
   loadBlock,
+  loadBlocks,
   loadCSS,
   loadFooter,
   loadHeader,
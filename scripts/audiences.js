@@ -0,0 +1,124 @@
+/*
+ * Audiences
+ * Drops content authored for audiences the visitor is not part of.
+ * Sections declare them with the `audience` section metadata, blocks with an
+ * `audience-<name>` variant. Several comma separated audiences match if any does,
+ * `<name>:<value>` passes a value to the resolver, e.g. `campaign:summer-sale`.
+ * Variants become class names, so blocks pass the value after a dash instead,
+ * e.g. `audience-campaign-summer-sale`, and the resolver gets it in class name form.
+ * Unknown audiences are reported and match, content is never lost to a typo.
+ * `?audience=<name>[,<name>]` previews the page for exactly these audiences.
+ */
+
+import { toClassName } from './aem.js';
+
+// audience name -> resolver function
+const resolvers = new Map();
+
+// audience (with value) -> promise of whether it matches
+const results = new Map();
+
+/**
+ * Registers an audience.
+ * @param {string} name The audience name used by authors
+ * @param {function} resolver Called with the optional authored value,
+ * returns or resolves to whether the visitor is part of the audience
+ */
+export function registerAudience(name, resolver) {
+  resolvers.set(toClassName(name), resolver);
+}
+
+/**
+ * Normalizes an authored audience into its name and optional value.
+ * @param {string} audience The audience, optionally followed by `:<value>`
+ * @returns {{key: string, name: string, value: string}} The normalized audience
+ */
+function parseAudience(audience) {
+  const [name, ...rest] = audience.split(':');
+  const value = rest.join(':').trim();
+  return { key: `${toClassName(name)}${value ? `:${value}` : ''}`, name: toClassName(name), value };
+}
+
+/**
+ * Resolves whether the visitor is part of an audience, once per page.
+ * @param {string} audience The audience, optionally followed by `:<value>`
+ * @returns {Promise<boolean>} Whether the visitor is part of the audience
+ */
+export function matchAudience(audience) {
+  const { key, name, value } = parseAudience(audience);
+  if (!results.has(key)) {
+    const preview = new URLSearchParams(window.location.search).get('audience');
+    let result;
+    if (preview !== null) {
+      result = Promise.resolve(preview.split(',').some((a) => parseAudience(a).key === key));
+    } else if (!resolvers.has(name)) {
+      // eslint-disable-next-line no-console
+      console.warn(`unknown audience ${name}, the content shows to all visitors`);
+      result = Promise.resolve(true);
+    } else {
+      result = (async () => {
+        try {
+          return !!(await resolvers.get(name)(value));
+        } catch (error) {
+          // eslint-disable-next-line no-console
+          console.error(`failed to resolve audience ${name}`, error);
+          return false;
+        }
+      })();
+    }
+    results.set(key, result);
+  }
+  return results.get(key);
+}
+
+/**
+ * Reads the audience of a block variant, `audience-<name>` or `audience-<name>-<value>`.
+ * The name is the longest registered audience the variant starts with.
+ * @param {string} className The variant class name
+ * @returns {string} The audience, followed by `:<value>` if it has one
+ */
+function parseBlockAudience(className) {
+  const audience = className.substring('audience-'.length);
+  const name = [...resolvers.keys()]
+    .filter((candidate) => audience === candidate || audience.startsWith(`${candidate}-`))
+    .reduce((longest, candidate) => (candidate.length > longest.length ? candidate : longest), '');
+  if (!name || name === audience) return audience;
+  return `${name}:${audience.substring(name.length + 1)}`;
+}
+
+/**
+ * Resolves whether the visitor is part of any of the given audiences.
+ * @param {string} audiences Comma separated audiences
+ * @returns {Promise<boolean>} Whether any audience matches
+ */
+async function matchAnyAudience(audiences) {
+  const matches = await Promise.all(audiences.split(',')
+    .map((audience) => audience.trim())
+    .filter((audience) => audience)
+    .map(matchAudience));
+  return !matches.length || matches.includes(true);
+}
+
+/**
+ * Removes the sections and blocks of a container that target other audiences.
+ * Runs on decorated sections and blocks, before they are loaded.
+ * @param {Element} main The container element
+ */
+export async function decorateAudiences(main) {
+  const sections = [...main.querySelectorAll(':scope > .section[data-audience]')];
+  const blocks = [...main.querySelectorAll('.block')].filter((block) => [...block.classList]
+    .slice(1)
+    .some((c) => c.startsWith('audience-')));
+  await Promise.all([
+    ...sections.map(async (section) => {
+      if (!await matchAnyAudience(section.dataset.audience)) section.remove();
+    }),
+    ...blocks.map(async (block) => {
+      const audiences = [...block.classList]
+        .filter((c) => c.startsWith('audience-'))
+        .map(parseBlockAudience)
+        .join(',');
+      if (!await matchAnyAudience(audiences)) block.parentElement.remove();
+    }),
+  ]);
+}
@@ -0,0 +1,194 @@
+/*
+ * Consent
+ * Stores the visitor's consent per category and gates tracking on it.
+ * Load third party scripts with the loadScript of this module, it waits for consent.
+ * The banner content is authored in the /fragments/consent fragment.
+ */
+
+import { loadCSS, loadScript as loadScriptNow, sampleRUM } from './aem.js';
+import { fetchPlaceholders } from './placeholders.js';
+
+export const CONSENT_CATEGORIES = ['necessary', 'analytics', 'marketing'];
+
+const STORAGE_KEY = 'consent';
+
+// resolvers of the promises waiting for a decision
+const pending = [];
+
+let bannerPromise = null;
+
+/**
+ * Reads the stored decision.
+ * @returns {object|null} The consent per category, null if the visitor did not decide yet
+ */
+function readDecision() {
+  try {
+    const decision = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return decision && typeof decision === 'object' ? decision : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Returns the consent for a category.
+ * @param {string} category One of CONSENT_CATEGORIES
+ * @returns {boolean|undefined} The consent, undefined if the visitor did not decide yet
+ */
+export function getConsent(category) {
+  if (category === 'necessary') return true;
+  const decision = readDecision();
+  return decision ? !!decision[category] : undefined;
+}
+
+/**
+ * Stores a decision and notifies everything waiting for it.
+ * @param {object} choices The consent per category, missing categories are denied
+ */
+export function setConsent(choices) {
+  const decision = { date: new Date().toISOString() };
+  CONSENT_CATEGORIES.forEach((category) => {
+    decision[category] = category === 'necessary' || !!choices[category];
+  });
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(decision));
+  } catch (e) {
+    // decision applies to this page view only
+  }
+  pending.splice(0).forEach((resolve) => resolve(decision));
+  document.dispatchEvent(new CustomEvent('consent', { detail: decision }));
+}
+
+/**
+ * Waits for the visitor to decide on a category.
+ * @param {string} category One of CONSENT_CATEGORIES
+ * @returns {Promise<boolean>} Whether the category was granted
+ */
+export function waitForConsent(category) {
+  const consent = getConsent(category);
+  if (consent !== undefined) return Promise.resolve(consent);
+  return new Promise((resolve) => {
+    pending.push((decision) => resolve(!!decision[category]));
+  });
+}
+
+/**
+ * Loads a non module JS file once the visitor granted its category.
+ * Scripts count as marketing unless told otherwise, `necessary` loads them right away.
+ * @param {string} src URL to the JS file
+ * @param {Object} [attrs] additional optional attributes
+ * @param {string} [category] One of CONSENT_CATEGORIES
+ * @returns {Promise<boolean>} Whether the script was loaded
+ */
+export async function loadScript(src, attrs, category = 'marketing') {
+  if (!await waitForConsent(category)) return false;
+  await loadScriptNow(src, attrs);
+  return true;
+}
+
+/**
+ * Builds and shows the consent banner.
+ * @param {object|null} current The current decision, used to preset the choices
+ * @returns {Promise<object>} The decision
+ */
+async function showBanner(current) {
+  // eslint-disable-next-line import/no-cycle
+  const { loadFragment } = await import('../blocks/fragment/fragment.js');
+  const [fragment, placeholders] = await Promise.all([
+    loadFragment('/fragments/consent'),
+    fetchPlaceholders(),
+    loadCSS(`${window.hlx.codeBasePath}/styles/consent.css`),
+  ]);
+  const label = (key, fallback) => placeholders[key] || fallback;
+
+  const banner = document.createElement('section');
+  banner.className = 'consent-banner';
+  banner.setAttribute('aria-label', label('consentTitle', 'Cookie consent'));
+  const content = document.createElement('div');
+  content.className = 'consent-content';
+  if (fragment) content.append(...fragment.childNodes);
+
+  const form = document.createElement('form');
+  form.className = 'consent-choices';
+  const fieldset = document.createElement('fieldset');
+  const legend = document.createElement('legend');
+  legend.textContent = label('consentCategories', 'Allow cookies for');
+  fieldset.append(legend);
+  CONSENT_CATEGORIES.forEach((category) => {
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.name = category;
+    input.id = `consent-${category}`;
+    input.checked = category === 'necessary' || !!(current && current[category]);
+    input.disabled = category === 'necessary';
+    const lbl = document.createElement('label');
+    lbl.htmlFor = input.id;
+    lbl.textContent = label(`consent${category[0].toUpperCase()}${category.substring(1)}`, category);
+    const field = document.createElement('div');
+    field.append(input, lbl);
+    fieldset.append(field);
+  });
+
+  const buttons = document.createElement('p');
+  buttons.className = 'button-container';
+  const button = (name, text, className) => {
+    const b = document.createElement('button');
+    b.type = name === 'save' ? 'submit' : 'button';
+    b.name = name;
+    b.textContent = text;
+    if (className) b.className = className;
+    buttons.append(b);
+    return b;
+  };
+  const reject = button('reject', label('consentRejectAll', 'Reject all'), 'secondary');
+  button('save', label('consentSave', 'Save choices'), 'secondary');
+  const accept = button('accept', label('consentAcceptAll', 'Accept all'));
+  form.append(fieldset, buttons);
+  content.append(form);
+  banner.append(content);
+
+  return new Promise((resolve) => {
+    const decide = (choices, action) => {
+      setConsent(choices);
+      sampleRUM('consent', { source: 'banner', target: action });
+      banner.remove();
+      resolve(readDecision());
+    };
+    const all = (value) => Object.fromEntries(CONSENT_CATEGORIES.map((c) => [c, value]));
+    reject.addEventListener('click', () => decide(all(false), 'reject'));
+    accept.addEventListener('click', () => decide(all(true), 'accept'));
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const choices = CONSENT_CATEGORIES.map((c) => [c, form.elements[c].checked]);
+      decide(Object.fromEntries(choices), 'save');
+    });
+    document.body.append(banner);
+    accept.focus({ preventScroll: true });
+  });
+}
+
+/**
+ * Asks the visitor for a decision, unless they already decided.
+ * @param {boolean} [force] Show the banner to change an earlier decision
+ * @returns {Promise<object>} The decision
+ */
+export function requestConsent(force = false) {
+  const current = readDecision();
+  if (current && !force) return Promise.resolve(current);
+  if (!bannerPromise) {
+    bannerPromise = showBanner(current).finally(() => { bannerPromise = null; });
+  }
+  return bannerPromise;
+}
+
+/**
+ * Gates the RUM enhancer on analytics consent. Call before any section loads.
+ */
+export function initConsent() {
+  const enhance = sampleRUM.enhance || (() => {});
+  sampleRUM.enhance = () => {
+    waitForConsent('analytics').then((granted) => {
+      if (granted) enhance();
+    });
+  };
+}
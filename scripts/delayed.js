@@ -1 +1,4 @@
 // add delayed functionality here
+// load scripts with loadScript from ./consent.js, it waits for their consent category:
+// loadScript('https://example.com/tag.js') waits for marketing consent,
+// loadScript('https://example.com/rum.js', {}, 'analytics') for analytics consent
@@ -0,0 +1,134 @@
+/*
+ * Disclosure
+ * Shared open/close engine of the tabs and accordion blocks.
+ * The blocks build their own markup and keyboard handling, the engine keeps
+ * the open panels, the URL hash and lazily loaded panel fragments in sync.
+ * A panel that only holds a link to a /fragments/ page loads it on first open.
+ */
+
+import { toClassName } from './aem.js';
+
+// ids handed out on this page, the hash of a panel has to be unique
+const usedIds = new Set();
+
+/**
+ * Builds a page unique id from a panel label.
+ * @param {string} label The label
+ * @param {string} fallback The id used for empty labels
+ * @returns {string} The id
+ */
+export function buildDisclosureId(label, fallback) {
+  const base = toClassName(label) || fallback;
+  let id = base;
+  for (let i = 2; usedIds.has(id) || document.getElementById(id); i += 1) id = `${base}-${i}`;
+  usedIds.add(id);
+  return id;
+}
+
+/**
+ * Returns the fragment path a panel links to, if the link is all the panel holds.
+ * @param {Element} panel The panel
+ * @returns {string|null} The fragment path, with its selector
+ */
+function getPanelFragment(panel) {
+  const links = panel.querySelectorAll('a[href*="/fragments/"]');
+  if (links.length !== 1 || panel.textContent.trim() !== links[0].textContent.trim()) return null;
+  const { pathname, hash } = new URL(links[0].href, window.location.href);
+  return `${pathname}${hash}`;
+}
+
+/**
+ * Loads the fragment of a panel, once.
+ * @param {object} item The disclosure item
+ */
+async function loadPanelFragment(item) {
+  const { panel, fragment } = item;
+  item.fragment = null;
+  panel.setAttribute('aria-busy', 'true');
+  try {
+    const { loadFragment, getFragmentChain } = await import('../blocks/fragment/fragment.js');
+    const main = await loadFragment(fragment, getFragmentChain(panel));
+    if (main) panel.replaceChildren(...main.childNodes);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error(`failed to load panel fragment ${fragment}`, error);
+  }
+  panel.removeAttribute('aria-busy');
+}
+
+/**
+ * Wires up the panels of a tabs or accordion block.
+ * @param {Array<object>} items The items, each with a unique `id`, its `control` and its `panel`
+ * @param {object} [options] The options
+ * @param {string} [options.attribute] The state attribute of the controls
+ * @param {boolean} [options.multiple] Whether several panels may be open at once
+ * @param {boolean} [options.required] Whether a panel has to stay open
+ * @param {function} [options.onChange] Called with an item and whether it opened
+ * @returns {object} The disclosure with `open`, `close` and `toggle` functions taking an item
+ */
+export function createDisclosure(items, options = {}) {
+  const {
+    attribute = 'aria-expanded',
+    multiple = false,
+    required = false,
+    onChange = () => {},
+  } = options;
+
+  items.forEach((item) => {
+    item.fragment = getPanelFragment(item.panel);
+  });
+
+  const isOpen = (item) => item.control.getAttribute(attribute) === 'true';
+
+  const setOpen = (item, open) => {
+    item.control.setAttribute(attribute, open);
+    item.panel.hidden = !open;
+    if (open && item.fragment) loadPanelFragment(item);
+    onChange(item, open);
+  };
+
+  const syncHash = (id) => {
+    const url = new URL(window.location.href);
+    if (id) url.hash = id;
+    else if (items.some((item) => `#${item.id}` === url.hash)) url.hash = '';
+    else return;
+    window.history.replaceState(window.history.state, '', url);
+  };
+
+  const disclosure = {
+    open(item, updateHash = true) {
+      if (!multiple) {
+        items
+          .filter((other) => other !== item && isOpen(other))
+          .forEach((other) => setOpen(other, false));
+      }
+      if (!isOpen(item)) setOpen(item, true);
+      if (updateHash) syncHash(item.id);
+    },
+    close(item) {
+      if (!isOpen(item)) return;
+      if (required && items.filter(isOpen).length <= 1) return;
+      setOpen(item, false);
+      const open = items.find(isOpen);
+      syncHash(open && open.id);
+    },
+    toggle(item) {
+      if (isOpen(item)) disclosure.close(item);
+      else disclosure.open(item);
+    },
+  };
+
+  // deep links open their panel, on load and when the hash changes
+  const openFromHash = () => {
+    const item = items.find(({ id }) => `#${id}` === window.location.hash);
+    if (!item) return false;
+    disclosure.open(item, false);
+    item.control.scrollIntoView({ block: 'start' });
+    return true;
+  };
+  window.addEventListener('hashchange', openFromHash);
+
+  items.forEach((item) => setOpen(item, false));
+  if (!openFromHash() && required && items.length) disclosure.open(items[0], false);
+  return disclosure;
+}
@@ -0,0 +1,112 @@
+/*
+ * Embeds
+ * Registry of the providers the embed block and its auto-block recognise.
+ * A provider parses the URLs it supports and builds the iframe of an embed:
+ *
+ *   registerEmbedProvider('example', {
+ *     label: 'Example video',
+ *     load: 'click',              // or 'view' to load when scrolled into view
+ *     match: (url) => (url.hostname === 'example.com' ? { id: url.pathname.substring(1) } : null),
+ *     build: ({ id }, { autoplay }) => ({ src: `https://example.com/embed/${id}`, ratio: '16 / 9' }),
+ *   });
+ *
+ * Nothing of a provider loads before the visitor asks for it. `view` providers load
+ * on their own only with marketing consent, posters are authored with the link.
+ */
+
+// provider name -> provider
+const providers = new Map();
+
+/**
+ * Registers an embed provider, replacing any provider of the same name.
+ * @param {string} name The provider name, added as class to the embed block
+ * @param {object} provider The provider with `label`, `load`, `match` and `build`
+ */
+export function registerEmbedProvider(name, provider) {
+  providers.set(name, { load: 'click', ...provider });
+}
+
+/**
+ * Finds the provider of a URL.
+ * @param {string} href The embedded URL
+ * @returns {object|null} The provider `name`, the `provider` and the `params` it parsed
+ */
+export function findEmbedProvider(href) {
+  let url;
+  try {
+    url = new URL(href, window.location.href);
+  } catch (e) {
+    return null;
+  }
+  const hostname = url.hostname.replace(/^(www|m)\./, '');
+  const entry = [...providers.entries()]
+    .map(([name, provider]) => ({ name, provider, params: provider.match(url, hostname) }))
+    .find(({ params }) => params);
+  return entry || null;
+}
+
+registerEmbedProvider('youtube', {
+  label: 'YouTube video',
+  match: (url, hostname) => {
+    let id;
+    if (hostname === 'youtu.be') [, id] = url.pathname.split('/');
+    else if (hostname === 'youtube.com' || hostname === 'youtube-nocookie.com') {
+      const [, type, path] = url.pathname.split('/');
+      id = type === 'watch' ? url.searchParams.get('v') : ['embed', 'shorts'].includes(type) && path;
+    }
+    if (!id) return null;
+    return { id, start: parseInt(url.searchParams.get('t') || url.searchParams.get('start'), 10) };
+  },
+  build: ({ id, start }, { autoplay }) => {
+    const src = new URL(`https://www.youtube-nocookie.com/embed/${id}`);
+    src.searchParams.set('rel', 0);
+    if (autoplay) src.searchParams.set('autoplay', 1);
+    if (start) src.searchParams.set('start', start);
+    return {
+      src: src.href,
+      allow: 'autoplay; encrypted-media; fullscreen; picture-in-picture',
+      ratio: '16 / 9',
+    };
+  },
+});
+
+registerEmbedProvider('vimeo', {
+  label: 'Vimeo video',
+  match: (url, hostname) => {
+    const segments = url.pathname.split('/').filter((segment) => segment);
+    if (hostname === 'vimeo.com' && /^\d+$/.test(segments[0])) return { id: segments[0] };
+    if (hostname === 'player.vimeo.com' && segments[0] === 'video') return { id: segments[1] };
+    return null;
+  },
+  build: ({ id }, { autoplay }) => ({
+    src: `https://player.vimeo.com/video/${id}?dnt=1${autoplay ? '&autoplay=1' : ''}`,
+    allow: 'autoplay; fullscreen; picture-in-picture',
+    ratio: '16 / 9',
+  }),
+});
+
+registerEmbedProvider('twitter', {
+  label: 'Post on X',
+  load: 'view',
+  match: (url, hostname) => {
+    const match = url.pathname.match(/^\/[^/]+\/status\/(\d+)/);
+    return ['twitter.com', 'x.com'].includes(hostname) && match ? { id: match[1] } : null;
+  },
+  build: ({ id }) => ({
+    src: `https://platform.twitter.com/embed/Tweet.html?id=${id}&dnt=true`,
+    height: 560,
+  }),
+});
+
+registerEmbedProvider('instagram', {
+  label: 'Instagram post',
+  load: 'view',
+  match: (url, hostname) => {
+    const match = url.pathname.match(/^\/(p|reel)\/([\w-]+)/);
+    return hostname === 'instagram.com' && match ? { type: match[1], id: match[2] } : null;
+  },
+  build: ({ type, id }) => ({
+    src: `https://www.instagram.com/${type}/${id}/embed/`,
+    height: 640,
+  }),
+});
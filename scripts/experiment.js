@@ -0,0 +1,187 @@
+/*
+ * Experimentation
+ * Runs A/B tests configured in page metadata:
+ *   experiment           the experiment id
+ *   experiment-variants  comma separated URLs of the challenger pages (or fragments)
+ *   experiment-split     comma separated percentages, for all variants or the challengers only
+ *   experiment-fragment  optional, path of the fragment the challengers replace,
+ *                        the whole page content is replaced otherwise
+ *   experiment-conversion  optional, comma separated conversions: URLs of pages a click
+ *                        on a link to converts, or `form` for a successful form submit
+ * Visitors keep their variant, `?experiment=<id>/<variant>` forces one for QA.
+ * Exposures and conversions are sent with sampleRUM, other code may record
+ * conversions with trackConversion.
+ */
+
+import { getMetadata, sampleRUM, toClassName } from './aem.js';
+
+let experiment = null;
+
+/**
+ * Returns the path of an authored URL.
+ * @param {string} url The URL
+ * @returns {string} The path, empty for no URL
+ */
+function toPath(url) {
+  return url ? new URL(url, window.location.href).pathname : '';
+}
+
+/**
+ * Parses the traffic split, defaulting to an even split.
+ * @param {string} meta The experiment-split metadata
+ * @param {number} count The number of variants, control included
+ * @returns {Array<number>} The share of each variant, summing up to 1
+ */
+function parseSplit(meta, count) {
+  const even = new Array(count).fill(1 / count);
+  if (!meta) return even;
+  const shares = meta.split(',').map((value) => Number(value.trim()) / 100);
+  // the control gets what the challengers leave
+  if (shares.length === count - 1) shares.unshift(1 - shares.reduce((a, b) => a + b, 0));
+  if (shares.length !== count || shares.some((share) => Number.isNaN(share) || share < 0)) {
+    // eslint-disable-next-line no-console
+    console.warn(`invalid experiment-split "${meta}", splitting traffic evenly`);
+    return even;
+  }
+  return shares;
+}
+
+/**
+ * Picks the variant of the visitor: forced by query string, stored or randomly assigned.
+ * @param {string} id The experiment id
+ * @param {Array<object>} variants The variants with name and share
+ * @returns {{name: string, forced: boolean}} The variant name and whether it was forced
+ */
+function pickVariant(id, variants) {
+  const names = variants.map(({ name }) => name);
+  const forced = new URLSearchParams(window.location.search).get('experiment') || '';
+  const [forcedId, forcedVariant] = forced.split('/');
+  if (forcedId === id && names.includes(forcedVariant)) {
+    return { name: forcedVariant, forced: true };
+  }
+
+  const key = `experiment-${id}`;
+  try {
+    const stored = localStorage.getItem(key);
+    if (names.includes(stored)) return { name: stored, forced: false };
+  } catch (e) {
+    // storage not available, assign for this page view only
+  }
+  const random = Math.random();
+  let total = 0;
+  const { name } = variants.find((variant) => {
+    total += variant.share;
+    return random < total;
+  }) || variants[0];
+  try {
+    localStorage.setItem(key, name);
+  } catch (e) {
+    // do nothing
+  }
+  return { name, forced: false };
+}
+
+/**
+ * Fetches the content of a challenger page.
+ * @param {string} url The challenger URL
+ * @returns {Promise<string|null>} The plain HTML, null if it cannot be loaded
+ */
+async function fetchVariantContent(url) {
+  try {
+    const { pathname } = new URL(url, window.location.href);
+    const resp = await fetch(`${pathname}.plain.html`);
+    if (resp.ok) return resp.text();
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('failed to load experiment variant', error);
+  }
+  return null;
+}
+
+/**
+ * Records a conversion for the running experiment.
+ * @param {string} [name] The conversion name, e.g. `signup`
+ */
+export function trackConversion(name = 'conversion') {
+  if (!experiment) return;
+  sampleRUM('convert', { source: name, target: `${experiment.id}/${experiment.variant}` });
+}
+
+/**
+ * Records the conversions named in the experiment-conversion metadata.
+ * @param {Document} doc The document
+ */
+function trackConversionTriggers(doc) {
+  const triggers = getMetadata('experiment-conversion')
+    .split(',')
+    .map((trigger) => trigger.trim())
+    .filter((trigger) => trigger);
+  if (triggers.includes('form')) {
+    // sent by the form block once the submission was received
+    doc.addEventListener('formsubmit', () => trackConversion('form'));
+  }
+  const paths = triggers.filter((trigger) => trigger !== 'form').map(toPath);
+  if (paths.length) {
+    doc.addEventListener('click', (e) => {
+      const a = e.target.closest('a[href]');
+      if (a && paths.includes(toPath(a.href))) trackConversion(toPath(a.href));
+    });
+  }
+}
+
+/**
+ * Runs the experiment of the page, if any, before main is decorated.
+ * @param {Document} doc The document
+ * @returns {Promise<object|null>} The running experiment with id and variant
+ */
+export async function runExperiment(doc) {
+  const id = toClassName(getMetadata('experiment'));
+  const urls = getMetadata('experiment-variants')
+    .split(',')
+    .map((url) => url.trim())
+    .filter((url) => url);
+  if (!id || !urls.length) return null;
+
+  const shares = parseSplit(getMetadata('experiment-split'), urls.length + 1);
+  const variants = [
+    { name: 'control', url: '' },
+    ...urls.map((url, i) => ({ name: `challenger-${i + 1}`, url })),
+  ].map((variant, i) => ({ ...variant, share: shares[i] }));
+  const { name, forced } = pickVariant(id, variants);
+  const variant = variants.find((v) => v.name === name);
+  const fragment = toPath(getMetadata('experiment-fragment'));
+
+  experiment = {
+    id,
+    variant: name,
+    forced,
+    variants: variants.map((v) => v.name),
+    fragment,
+    fragmentVariant: fragment ? toPath(variant.url) : '',
+  };
+
+  if (variant.url && !experiment.fragment) {
+    const main = doc.querySelector('main');
+    const html = await fetchVariantContent(variant.url);
+    if (html && main) main.innerHTML = html;
+    else experiment.variant = 'control';
+  }
+
+  doc.body.classList.add(`experiment-${id}`, `variant-${experiment.variant}`);
+  window.hlx.experiment = experiment;
+  sampleRUM('experiment', { source: id, target: experiment.variant });
+  trackConversionTriggers(doc);
+  return experiment;
+}
+
+/**
+ * Returns the path of the fragment to load instead of the given one, for fragment experiments.
+ * @param {string} path The fragment path
+ * @returns {string} The challenger fragment path, or the given path
+ */
+export function resolveExperimentFragment(path) {
+  if (experiment && experiment.fragmentVariant && path === experiment.fragment) {
+    return experiment.fragmentVariant;
+  }
+  return path;
+}
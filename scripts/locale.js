@@ -0,0 +1,63 @@
+import { getMetadata } from './aem.js';
+
+/**
+ * Locales of the site, keyed by the path prefix of their content tree.
+ * The default locale lives at the root and has no prefix.
+ */
+export const LOCALES = {
+  en: { lang: 'en' },
+  de: { lang: 'de' },
+  fr: { lang: 'fr' },
+  'fr-ca': { lang: 'fr-CA' },
+};
+
+export const DEFAULT_LOCALE = 'en';
+
+const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+
+let currentLocale;
+
+/**
+ * Builds the locale object for a configured locale.
+ * @param {string} id The locale key in LOCALES
+ * @returns {object} The locale with id, lang, dir and path prefix
+ */
+function buildLocale(id) {
+  const { lang, dir } = LOCALES[id];
+  return {
+    id,
+    lang,
+    dir: dir || (RTL_LANGUAGES.includes(lang.split('-')[0]) ? 'rtl' : 'ltr'),
+    prefix: id === DEFAULT_LOCALE ? '' : `/${id}`,
+  };
+}
+
+/**
+ * Returns the locale of the current page, from the `locale` metadata
+ * or else from the first segment of the path.
+ * @returns {object} The locale with id, lang, dir and path prefix
+ */
+export function getLocale() {
+  if (!currentLocale) {
+    const meta = getMetadata('locale').toLowerCase();
+    const [, segment] = window.location.pathname.split('/');
+    let id = DEFAULT_LOCALE;
+    if (LOCALES[meta]) id = meta;
+    else if (LOCALES[segment]) id = segment;
+    currentLocale = buildLocale(id);
+  }
+  return currentLocale;
+}
+
+/**
+ * Resolves a site path within the tree of a locale.
+ * Paths already inside a locale tree are returned unchanged.
+ * @param {string} path The site path, starting with /
+ * @param {object} [locale] The locale, defaults to the page locale
+ * @returns {string} The localized path
+ */
+export function localizePath(path, locale = getLocale()) {
+  const [, segment] = path.split('/');
+  if (LOCALES[segment]) return path;
+  return `${locale.prefix}${path}`;
+}
@@ -0,0 +1,67 @@
+import { toCamelCase } from './aem.js';
+import { DEFAULT_LOCALE, LOCALES, getLocale } from './locale.js';
+
+// locale id -> promise of the placeholders of that locale
+const placeholdersCache = new Map();
+
+/**
+ * Fetches and parses a placeholders sheet.
+ * @param {string} prefix The path prefix of the locale tree
+ * @returns {Promise<object|null>} The placeholders, null if the sheet does not exist
+ */
+async function fetchSheet(prefix) {
+  const resp = await fetch(`${prefix}/placeholders.json`);
+  if (!resp.ok) return null;
+  const json = await resp.json();
+  const placeholders = {};
+  (json.data || [])
+    .filter((row) => row.Key)
+    .forEach((row) => {
+      placeholders[toCamelCase(row.Key)] = row.Text;
+    });
+  return placeholders;
+}
+
+/**
+ * Gets the placeholders of a locale, fetched once per page.
+ * Locales without a placeholders sheet use the placeholders of the default locale.
+ * @param {object|string} [locale] The locale or its id, defaults to the page locale
+ * @returns {Promise<object>} The placeholders, keyed by camelCased key
+ */
+export async function fetchPlaceholders(locale = getLocale()) {
+  const id = typeof locale === 'string' ? locale : locale.id;
+  if (!placeholdersCache.has(id)) {
+    placeholdersCache.set(id, (async () => {
+      const prefix = id === DEFAULT_LOCALE || !LOCALES[id] ? '' : `/${id}`;
+      try {
+        const placeholders = await fetchSheet(prefix);
+        if (placeholders) return placeholders;
+      } catch (error) {
+        // eslint-disable-next-line no-console
+        console.error(`failed to load placeholders for ${id}`, error);
+      }
+      return prefix ? fetchPlaceholders(DEFAULT_LOCALE) : {};
+    })());
+  }
+  return placeholdersCache.get(id);
+}
+
+/**
+ * Replaces `{{key}}` tokens in the text of an element with placeholders.
+ * Tokens without a matching placeholder are left as authored.
+ * @param {Element} element The container element
+ */
+export async function decoratePlaceholders(element) {
+  if (!element.textContent.includes('{{')) return;
+  const placeholders = await fetchPlaceholders();
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    if (node.nodeValue.includes('{{')) {
+      node.nodeValue = node.nodeValue.replace(/{{\s*([\w-]+)\s*}}/g, (match, key) => {
+        const value = placeholders[toCamelCase(key)];
+        return value !== undefined ? value : match;
+      });
+    }
+  }
+}
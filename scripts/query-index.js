@@ -0,0 +1,185 @@
+/*
+ * Query Index
+ * Lazy, chainable client for `/query-index.json` and other spreadsheet JSON endpoints.
+ *
+ *   const articles = await queryIndex('/query-index.json')
+ *     .filter((entry) => entry.path.startsWith('/blog/'))
+ *     .sort((a, b) => b.lastModified - a.lastModified)
+ *     .limit(6)
+ *     .all();
+ */
+
+const CHUNK_SIZE = 255;
+
+// chunk url -> promise of the chunk json, kept for the page and the browser session
+const chunkCache = new Map();
+
+/**
+ * Fetches a chunk of an index, memoised for the session.
+ * @param {string} url The chunk URL
+ * @returns {Promise<object|null>} The chunk JSON, null if it does not exist
+ */
+function fetchChunk(url) {
+  if (!chunkCache.has(url)) {
+    chunkCache.set(url, (async () => {
+      const key = `query-index:${url}`;
+      try {
+        const cached = sessionStorage.getItem(key);
+        if (cached) return JSON.parse(cached);
+      } catch (e) {
+        // storage not available
+      }
+      const resp = await fetch(url);
+      if (!resp.ok) return null;
+      const json = await resp.json();
+      try {
+        sessionStorage.setItem(key, JSON.stringify(json));
+      } catch (e) {
+        // storage full or not available, keep it in memory only
+      }
+      return json;
+    })().catch((error) => {
+      chunkCache.delete(url);
+      throw error;
+    }));
+  }
+  return chunkCache.get(url);
+}
+
+/**
+ * Streams the entries of an index, fetching chunks only as they are consumed.
+ * @param {string} url The index URL
+ * @param {number} chunkSize The number of entries per request
+ * @param {string} [sheet] The name of the sheet
+ */
+async function* readEntries(url, chunkSize, sheet) {
+  let offset = 0;
+  let total = Infinity;
+  while (offset < total) {
+    const chunkUrl = new URL(url, window.location.href);
+    chunkUrl.searchParams.set('offset', offset);
+    chunkUrl.searchParams.set('limit', chunkSize);
+    if (sheet) chunkUrl.searchParams.set('sheet', sheet);
+    // eslint-disable-next-line no-await-in-loop
+    const json = await fetchChunk(chunkUrl.href);
+    const data = (json && json.data) || [];
+    if (!data.length) return;
+    total = json.total || 0;
+    offset += data.length;
+    yield* data;
+  }
+}
+
+/**
+ * Streams the values of an async iterator through a handler, one at a time.
+ * @param {AsyncIterator} iterator The source iterator
+ * @param {function} handler Called with each value, may be async, returns
+ * `{ values, done }` with the values to pass on and whether to stop reading
+ */
+async function* pipe(iterator, handler) {
+  let result = await iterator.next();
+  while (!result.done) {
+    // eslint-disable-next-line no-await-in-loop
+    const { values = [], done = false } = await handler(result.value);
+    yield* values;
+    if (done) {
+      // eslint-disable-next-line no-await-in-loop
+      await iterator.return();
+      return;
+    }
+    // eslint-disable-next-line no-await-in-loop
+    result = await iterator.next();
+  }
+}
+
+const operations = {
+  filter: (iterator, fn) => pipe(iterator, async (entry) => ({
+    values: (await fn(entry)) ? [entry] : [],
+  })),
+  map: (iterator, fn) => pipe(iterator, async (entry) => ({ values: [await fn(entry)] })),
+  slice: (iterator, start, end = Infinity) => {
+    let index = -1;
+    if (end <= start) return pipe(iterator, () => ({ done: true }));
+    return pipe(iterator, (entry) => {
+      index += 1;
+      return { values: index >= start ? [entry] : [], done: index + 1 >= end };
+    });
+  },
+  async* sort(iterator, compareFn) {
+    const entries = [];
+    yield* pipe(iterator, (entry) => {
+      entries.push(entry);
+      return {};
+    });
+    yield* entries.sort(compareFn);
+  },
+  follow: (iterator, field, name) => pipe(iterator, async (entry) => {
+    let doc = null;
+    if (entry[field]) {
+      const resp = await fetch(entry[field]);
+      if (resp.ok) doc = new DOMParser().parseFromString(await resp.text(), 'text/html');
+    }
+    return { values: [{ ...entry, [name || field]: doc }] };
+  }),
+};
+
+/**
+ * Creates an immutable query over an index.
+ * @param {object} query The index URL, chunk size, sheet and chained operations
+ * @returns {object} The chainable query
+ */
+function createQuery(query) {
+  const chain = (changes) => createQuery({ ...query, ...changes });
+  const then = (name, ...args) => chain({ steps: [...query.steps, { name, args }] });
+
+  const iterate = () => query.steps.reduce(
+    (iterator, { name, args }) => operations[name](iterator, ...args),
+    readEntries(query.url, query.chunkSize, query.sheet),
+  );
+
+  return {
+    /** Sets the number of entries fetched per request. */
+    chunks: (chunkSize) => chain({ chunkSize }),
+    /** Reads a named sheet of the index. */
+    sheet: (sheet) => chain({ sheet }),
+    /** Keeps the entries the (async) predicate accepts. */
+    filter: (fn) => then('filter', fn),
+    /** Transforms each entry with the (async) function. */
+    map: (fn) => then('map', fn),
+    /** Keeps at most the given number of entries. */
+    limit: (count) => then('slice', 0, count),
+    /** Keeps the entries from start up to, but excluding, end. */
+    slice: (start, end) => then('slice', start, end),
+    /** Sorts the entries, this reads the complete index. */
+    sort: (compareFn) => then('sort', compareFn),
+    /** Fetches the page linked in a field and adds it as a parsed document. */
+    follow: (field, name) => then('follow', field, name),
+    [Symbol.asyncIterator]: iterate,
+    /** Resolves to all remaining entries. */
+    async all() {
+      const entries = [];
+      // eslint-disable-next-line no-restricted-syntax
+      for await (const entry of iterate()) entries.push(entry);
+      return entries;
+    },
+    /** Resolves to the first entry, or undefined. */
+    async first() {
+      const [entry] = await then('slice', 0, 1).all();
+      return entry;
+    },
+  };
+}
+
+/**
+ * Starts a query over an index.
+ * @param {string} [url] The index URL
+ * @returns {object} The chainable query
+ */
+export default function queryIndex(url = '/query-index.json') {
+  return createQuery({
+    url,
+    chunkSize: CHUNK_SIZE,
+    sheet: '',
+    steps: [],
+  });
+}
@@ -7,11 +7,53 @@ import {
   decorateSections,
   decorateBlocks,
   decorateTemplateAndTheme,
+  getMetadata,
   waitForFirstImage,
   loadSection,
   loadSections,
   loadCSS,
+  toClassName,
 } from './aem.js';
+import { decorateAudiences, registerAudience } from './audiences.js';
+// eslint-disable-next-line import/no-cycle
+import { initConsent, requestConsent } from './consent.js';
+import { findEmbedProvider } from './embeds.js';
+import { runExperiment } from './experiment.js';
+import { getLocale } from './locale.js';
+import { decoratePlaceholders } from './placeholders.js';
+import { loadTemplate, runTemplateHook } from './templates.js';
+import { decorateThemes, initTheme } from './theme.js';
+import { getVideoType } from './video.js';
+
+// blocks that load the fragments they link to themselves
+const LAZY_FRAGMENT_BLOCKS = '.tabs, .accordion';
+
+/**
+ * Tells whether this browser session is the first visit of the site.
+ * @returns {boolean} true for new visitors
+ */
+function isNewVisitor() {
+  try {
+    if (!localStorage.getItem('first-visit')) {
+      localStorage.setItem('first-visit', Date.now());
+      sessionStorage.setItem('new-visitor', 'true');
+    }
+    return sessionStorage.getItem('new-visitor') === 'true';
+  } catch (e) {
+    return true;
+  }
+}
+
+// audiences authors can target in section metadata and block variants
+registerAudience('new-visitor', isNewVisitor);
+registerAudience('returning-visitor', () => !isNewVisitor());
+registerAudience('mobile', () => window.matchMedia('(width < 600px)').matches);
+registerAudience('tablet', () => window.matchMedia('(600px <= width < 900px)').matches);
+registerAudience('desktop', () => window.matchMedia('(width >= 900px)').matches);
+registerAudience('campaign', (campaign) => {
+  const utmCampaign = new URLSearchParams(window.location.search).get('utm_campaign');
+  return !!utmCampaign && toClassName(utmCampaign) === toClassName(campaign);
+});
 
 /**
  * Builds hero block and prepends to main in a new section.
@@ -32,6 +74,35 @@ function buildHeroBlock(main) {
   }
 }
 
+/**
+ * Builds embed blocks from pasted links to known providers, on their own paragraph.
+ * @param {Element} main The container element
+ */
+function buildEmbedBlocks(main) {
+  main.querySelectorAll(':scope > div > p > a[href^="http"]').forEach((a) => {
+    const p = a.parentElement;
+    if (p.textContent.trim() !== a.textContent.trim()) return;
+    if (a.textContent.trim() !== a.href && a.textContent.trim() !== a.getAttribute('href')) return;
+    if (!findEmbedProvider(a.href)) return;
+    a.className = '';
+    p.replaceWith(buildBlock('embed', { elems: [a] }));
+  });
+}
+
+/**
+ * Builds video blocks from links to video files and media bus videos, on their own paragraph.
+ * @param {Element} main The container element
+ */
+function buildVideoBlocks(main) {
+  main.querySelectorAll(':scope > div > p > a[href]').forEach((a) => {
+    const p = a.parentElement;
+    if (p.textContent.trim() !== a.textContent.trim()) return;
+    if (!getVideoType(a.href)) return;
+    a.className = '';
+    p.replaceWith(buildBlock('video', { elems: [a] }));
+  });
+}
+
 /**
  * load fonts.css and set a session storage flag
  */
@@ -44,21 +115,50 @@ async function loadFonts() {
   }
 }
 
+/**
+ * Opens links to pages under /modals/ in a modal instead of navigating to them.
+ * @param {Element} element The element to listen on
+ */
+function autolinkModals(element) {
+  let opening = false;
+  element.addEventListener('click', async (e) => {
+    const origin = e.target.closest('a[href*="/modals/"]');
+    if (!origin || e.ctrlKey || e.metaKey || e.shiftKey) return;
+    e.preventDefault();
+    // a double click opens one modal
+    if (opening) return;
+    opening = true;
+    try {
+      // eslint-disable-next-line import/no-cycle
+      const { openModal } = await import('../blocks/modal/modal.js');
+      // a missing modal page is still a page, navigate to it
+      if (!await openModal(origin.href)) window.location.href = origin.href;
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error(`failed to open modal ${origin.href}`, error);
+      window.location.href = origin.href;
+    } finally {
+      opening = false;
+    }
+  });
+}
+
 /**
  * Builds all synthetic blocks in a container element.
  * @param {Element} main The container element
  */
 function buildAutoBlocks(main) {
   try {
-    // auto block `*/fragments/*` references
-    const fragments = main.querySelectorAll('a[href*="/fragments/"]');
+    // auto block `*/fragments/*` references, except those of blocks loading them on demand
+    const fragments = [...main.querySelectorAll('a[href*="/fragments/"]')]
+      .filter((a) => !a.closest(LAZY_FRAGMENT_BLOCKS));
     if (fragments.length > 0) {
       // eslint-disable-next-line import/no-cycle
-      import('../blocks/fragment/fragment.js').then(({ loadFragment }) => {
+      import('../blocks/fragment/fragment.js').then(({ loadFragment, getFragmentChain }) => {
         fragments.forEach(async (fragment) => {
           try {
-            const { pathname } = new URL(fragment.href);
-            const frag = await loadFragment(pathname);
+            const { pathname, hash } = new URL(fragment.href);
+            const frag = await loadFragment(`${pathname}${hash}`, getFragmentChain(fragment));
             fragment.parentElement.replaceWith(frag.firstElementChild);
           } catch (error) {
             // eslint-disable-next-line no-console
@@ -68,6 +168,11 @@ function buildAutoBlocks(main) {
       });
     }
 
+    // `*/modals/*` references open a dialog, see autolinkModals
+    main.querySelectorAll('a[href*="/modals/"]').forEach((a) => a.setAttribute('aria-haspopup', 'dialog'));
+
+    buildEmbedBlocks(main);
+    buildVideoBlocks(main);
     buildHeroBlock(main);
   } catch (error) {
     // eslint-disable-next-line no-console
@@ -80,13 +185,16 @@ function buildAutoBlocks(main) {
  * @param {Element} main The main element
  */
 // eslint-disable-next-line import/prefer-default-export
-export function decorateMain(main) {
+export async function decorateMain(main) {
+  await decoratePlaceholders(main);
   // hopefully forward compatible button decoration
   decorateButtons(main);
   decorateIcons(main);
   buildAutoBlocks(main);
   decorateSections(main);
+  decorateThemes(main);
   decorateBlocks(main);
+  await decorateAudiences(main);
 }
 
 /**
@@ -94,14 +202,24 @@ export function decorateMain(main) {
  * @param {Element} doc The container element
  */
 async function loadEager(doc) {
-  document.documentElement.lang = 'en';
+  initConsent();
+  autolinkModals(doc);
+  const { lang, dir } = getLocale();
+  document.documentElement.lang = lang;
+  document.documentElement.dir = dir;
   decorateTemplateAndTheme();
+  initTheme();
+  // reserve the space of the breadcrumbs the header adds
+  if (getMetadata('breadcrumbs').toLowerCase() === 'true') document.body.classList.add('breadcrumbs');
+  await Promise.all([runExperiment(doc), loadTemplate()]);
   const main = doc.querySelector('main');
   if (main) {
-    decorateMain(main);
+    await runTemplateHook('beforeDecorate', main);
+    await decorateMain(main);
     document.body.classList.add('appear');
     await loadSection(main.querySelector('.section'), waitForFirstImage);
   }
+  await runTemplateHook('afterEager', doc);
 
   try {
     /* if desktop (proxy for fast connection) or fonts already loaded, load fonts.css */
@@ -128,9 +246,14 @@ async function loadLazy(doc) {
   if (hash && element) element.scrollIntoView();
 
   loadFooter(doc.querySelector('footer'));
+  requestConsent().catch((error) => {
+    // eslint-disable-next-line no-console
+    console.error('Consent banner failed', error);
+  });
 
   loadCSS(`${window.hlx.codeBasePath}/styles/lazy-styles.css`);
   loadFonts();
+  await runTemplateHook('afterLazy', doc);
 }
 
 /**
@@ -138,6 +261,7 @@ async function loadLazy(doc) {
  * without impacting the user experience.
  */
 function loadDelayed() {
+  // delayed.js gates what it loads on the consent category of each script
   // eslint-disable-next-line import/no-cycle
   window.setTimeout(() => import('./delayed.js'), 3000);
   // load anything that can be postponed to the latest here
@@ -0,0 +1,54 @@
+/*
+ * Templates
+ * Loads the module and styles of the page template, named by the `template` metadata,
+ * from templates/<name>/<name>.js and templates/<name>/<name>.css.
+ * Only templates listed in TEMPLATES load, other names stay a body class.
+ * A template module may export any of these hooks:
+ *   beforeDecorate(main)  before main is decorated, to restructure it or add auto blocks
+ *   afterEager(doc)       once the first section is shown
+ *   afterLazy(doc)        once all sections, the header and the footer are loaded
+ */
+
+import { getMetadata, loadCSS, toClassName } from './aem.js';
+
+// names of the templates with a folder in templates/, add new templates here
+export const TEMPLATES = [];
+
+let template = null;
+
+/**
+ * Loads the module and styles of the page template, if any.
+ * @returns {Promise<object|null>} The template module
+ */
+export async function loadTemplate() {
+  const [name] = getMetadata('template').split(',').map((t) => toClassName(t.trim()));
+  if (!TEMPLATES.includes(name)) return null;
+  const base = `${window.hlx.codeBasePath}/templates/${name}/${name}`;
+  const [mod] = await Promise.all([
+    import(`${base}.js`).catch((error) => {
+      // eslint-disable-next-line no-console
+      console.error(`failed to load template ${name}`, error);
+      return null;
+    }),
+    loadCSS(`${base}.css`).catch(() => {
+      // templates without styles are fine
+    }),
+  ]);
+  template = mod;
+  return template;
+}
+
+/**
+ * Runs a hook of the page template, failures do not stop the page from loading.
+ * @param {string} hook The hook name, one of beforeDecorate, afterEager or afterLazy
+ * @param {...*} args The hook arguments
+ */
+export async function runTemplateHook(hook, ...args) {
+  if (!template || typeof template[hook] !== 'function') return;
+  try {
+    await template[hook](...args);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error(`template ${hook} failed`, error);
+  }
+}
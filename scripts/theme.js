@@ -0,0 +1,164 @@
+/*
+ * Theme
+ * Applies design tokens as CSS custom properties. A theme is a set of tokens for the
+ * light and the dark color scheme, grouped into colors, typography and spacing, and
+ * named after the custom property without leading dashes. The `theme` metadata picks
+ * the theme of the page, the `theme` section metadata (`light` or `dark`) forces the
+ * color scheme of a section. Visitors get the scheme of their system until they pick
+ * one with the toggle in the header.
+ * styles/styles.css keeps the light tokens of the default theme for pages without scripts.
+ */
+
+import { getMetadata, toClassName } from './aem.js';
+
+export const COLOR_SCHEMES = ['light', 'dark'];
+
+const STORAGE_KEY = 'color-scheme';
+
+const defaultLight = {
+  colors: {
+    'background-color': 'white',
+    'light-color': '#f8f8f8',
+    'dark-color': '#505050',
+    'text-color': '#131313',
+    'link-color': '#3b63fb',
+    'link-hover-color': '#1d3ecf',
+  },
+  typography: {
+    'body-font-family': 'roboto, roboto-fallback, sans-serif',
+    'heading-font-family': 'roboto-condensed, roboto-condensed-fallback, sans-serif',
+  },
+  spacing: {
+    'section-spacing': '40px',
+  },
+};
+
+// theme name -> tokens per color scheme, dark tokens extend the light ones
+export const THEMES = {
+  default: {
+    light: defaultLight,
+    dark: {
+      colors: {
+        'background-color': '#121212',
+        'light-color': '#1f1f1f',
+        'dark-color': '#b4b4b4',
+        'text-color': '#f2f2f2',
+        'link-color': '#8aa4ff',
+        'link-hover-color': '#b3c4ff',
+      },
+    },
+  },
+};
+
+const systemDark = window.matchMedia('(prefers-color-scheme: dark)');
+
+/**
+ * Reads the color scheme the visitor picked.
+ * @returns {string|null} light or dark, null to follow the system
+ */
+function getStoredColorScheme() {
+  try {
+    const scheme = localStorage.getItem(STORAGE_KEY);
+    return COLOR_SCHEMES.includes(scheme) ? scheme : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Returns the color scheme of the page.
+ * @returns {string} light or dark
+ */
+export function getColorScheme() {
+  return getStoredColorScheme() || (systemDark.matches ? 'dark' : 'light');
+}
+
+/**
+ * Builds the declarations of a token set.
+ * @param {object} tokens The tokens, grouped
+ * @param {string} scheme The color scheme
+ * @returns {string} The CSS declarations
+ */
+function toDeclarations(tokens, scheme) {
+  const properties = Object.values(tokens)
+    .flatMap((group) => Object.entries(group))
+    .map(([name, value]) => `--${name}: ${value};`);
+  return [...properties, `color-scheme: ${scheme};`].join(' ');
+}
+
+/**
+ * Merges the groups of token sets, later sets win.
+ * @param {...object} sets The token sets
+ * @returns {object} The merged tokens
+ */
+function mergeTokens(...sets) {
+  const merged = {};
+  sets.filter((set) => set).forEach((set) => {
+    Object.entries(set).forEach(([group, tokens]) => {
+      merged[group] = { ...merged[group], ...tokens };
+    });
+  });
+  return merged;
+}
+
+/**
+ * Applies a color scheme to the page.
+ * @param {string} scheme light or dark
+ */
+function applyColorScheme(scheme) {
+  document.documentElement.dataset.colorScheme = scheme;
+  document.dispatchEvent(new CustomEvent('colorschemechange', { detail: { scheme } }));
+}
+
+/**
+ * Stores the color scheme the visitor picked and applies it.
+ * @param {string} scheme light or dark
+ */
+export function setColorScheme(scheme) {
+  try {
+    localStorage.setItem(STORAGE_KEY, scheme);
+  } catch (e) {
+    // applies to this page view only
+  }
+  applyColorScheme(scheme);
+}
+
+/**
+ * Adds the tokens of the page theme and applies the color scheme. Call before main shows.
+ */
+export function initTheme() {
+  const name = toClassName(getMetadata('theme').split(',')[0]);
+  const theme = THEMES[name] || THEMES.default;
+  const light = mergeTokens(THEMES.default.light, theme.light);
+  const dark = mergeTokens(light, THEMES.default.dark, theme.dark);
+
+  const style = document.createElement('style');
+  style.id = 'theme-tokens';
+  style.textContent = [
+    `:root, [data-theme='light'] { ${toDeclarations(light, 'light')} }`,
+    `:root[data-color-scheme='dark'], [data-theme='dark'] { ${toDeclarations(dark, 'dark')} }`,
+  ].join('\n');
+  document.head.append(style);
+
+  applyColorScheme(getColorScheme());
+  systemDark.addEventListener('change', () => {
+    if (!getStoredColorScheme()) applyColorScheme(getColorScheme());
+  });
+}
+
+/**
+ * Normalizes the color scheme sections force through their `theme` metadata.
+ * @param {Element} main The container element
+ */
+export function decorateThemes(main) {
+  main.querySelectorAll(':scope > .section[data-theme]').forEach((section) => {
+    const scheme = toClassName(section.dataset.theme);
+    if (COLOR_SCHEMES.includes(scheme)) {
+      section.dataset.theme = scheme;
+    } else {
+      // eslint-disable-next-line no-console
+      console.warn(`unknown section theme ${section.dataset.theme}`);
+      delete section.dataset.theme;
+    }
+  });
+}
@@ -0,0 +1,54 @@
+/*
+ * Video
+ * Helpers shared by the video block, the hero background video and the video auto-block.
+ */
+
+import { fetchPlaceholders } from './placeholders.js';
+
+const VIDEO_TYPES = { mp4: 'video/mp4', webm: 'video/webm' };
+
+/**
+ * Returns the video type of a URL, if it points to a video file.
+ * Media bus assets keep the extension of the uploaded file.
+ * @param {string} href The URL
+ * @returns {string|undefined} The video MIME type
+ */
+export function getVideoType(href) {
+  try {
+    const { pathname } = new URL(href, window.location.href);
+    return VIDEO_TYPES[pathname.split('.').pop().toLowerCase()];
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/**
+ * Builds the play/pause control of a background video.
+ * Its label names the action, `<className>-paused` is set while the video is paused.
+ * Translated labels apply once the placeholders are loaded, the video never waits for them.
+ * @param {HTMLVideoElement} video The video
+ * @param {string} className The class name of the control
+ * @returns {Element} The control
+ */
+export function buildVideoToggle(video, className) {
+  const labels = { pauseVideo: 'Pause background video', playVideo: 'Play background video' };
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = className;
+  const update = () => {
+    toggle.setAttribute('aria-label', video.paused ? labels.playVideo : labels.pauseVideo);
+    toggle.classList.toggle(`${className}-paused`, video.paused);
+  };
+  toggle.addEventListener('click', () => {
+    if (video.paused) video.play().catch(() => {});
+    else video.pause();
+  });
+  video.addEventListener('play', update);
+  video.addEventListener('pause', update);
+  update();
+  fetchPlaceholders().then((placeholders) => {
+    Object.keys(labels).forEach((key) => { labels[key] = placeholders[key] || labels[key]; });
+    update();
+  });
+  return toggle;
+}
@@ -0,0 +1,132 @@
+/*
+ * Structured content converter
+ * Turns a validated structured content document into the block-table markup
+ * served as `.plain.html`, which `decorateMain` knows how to render.
+ */
+
+import { buildBlock } from '../../scripts/aem.js';
+
+// elements that run or embed code, they have no place in authored content
+const UNSAFE_ELEMENTS = 'script, iframe, frame, object, embed, base, meta, link, animate, set';
+
+/**
+ * Tells whether a URL is safe to follow, `javascript:` and the like are not.
+ * @param {string} url The URL
+ * @returns {boolean} Whether the URL is safe
+ */
+function isSafeUrl(url) {
+  return !/^\s*(javascript|vbscript|data):/i.test(url) || /^\s*data:image\//i.test(url);
+}
+
+/**
+ * Parses an HTML string into a document fragment.
+ * Scripts, event handler attributes and script URLs are removed, imported documents
+ * are not trusted and their markup runs in the preview.
+ * @param {string} html The HTML string
+ * @returns {DocumentFragment} The parsed nodes
+ */
+function parseHtml(html) {
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  template.content.querySelectorAll(UNSAFE_ELEMENTS).forEach((el) => el.remove());
+  template.content.querySelectorAll('*').forEach((el) => {
+    [...el.attributes].forEach(({ name, value }) => {
+      const urlAttribute = ['href', 'src', 'srcset', 'action', 'formaction', 'xlink:href'].includes(name);
+      if (name.startsWith('on') || name === 'srcdoc' || (urlAttribute && !isSafeUrl(value))) {
+        el.removeAttribute(name);
+      }
+    });
+  });
+  return template.content;
+}
+
+/**
+ * Builds the DOM nodes for a single block cell.
+ * @param {string|object|Array} cell The cell definition
+ * @returns {Array<Node>} The nodes of the cell
+ */
+function buildCell(cell) {
+  if (Array.isArray(cell)) return cell.flatMap(buildCell);
+  if (typeof cell === 'string') return [document.createTextNode(cell)];
+  if (cell.html !== undefined) return [parseHtml(cell.html)];
+  if (cell.image) {
+    const picture = document.createElement('picture');
+    const img = document.createElement('img');
+    img.src = cell.image;
+    img.alt = cell.alt || '';
+    picture.append(img);
+    return [picture];
+  }
+  if (cell.link) {
+    const p = document.createElement('p');
+    const a = document.createElement('a');
+    if (isSafeUrl(cell.link)) a.href = cell.link;
+    a.textContent = cell.text || cell.link;
+    if (cell.style) {
+      const wrapper = document.createElement(cell.style === 'primary' ? 'strong' : 'em');
+      wrapper.append(a);
+      p.append(wrapper);
+    } else {
+      p.append(a);
+    }
+    return [p];
+  }
+  const p = document.createElement('p');
+  p.textContent = cell.text;
+  return [p];
+}
+
+/**
+ * Builds a key/value block such as `metadata` or `section-metadata`.
+ * @param {string} name The block name
+ * @param {object} values The metadata values
+ * @returns {Element} The block element
+ */
+function buildMetadataBlock(name, values) {
+  const rows = Object.entries(values).map(([key, value]) => [
+    { elems: [document.createTextNode(key)] },
+    { elems: buildCell(Array.isArray(value) ? value.map((text) => ({ text })) : value) },
+  ]);
+  return buildBlock(name, rows);
+}
+
+/**
+ * Builds the undecorated main element for a structured content document.
+ * @param {object} doc A document that passed validation
+ * @returns {Element} The main element holding one div per section
+ */
+export function buildDocument(doc) {
+  const main = document.createElement('main');
+  doc.sections.forEach((sectionDef) => {
+    const section = document.createElement('div');
+    sectionDef.content.forEach((item) => {
+      if (item.type === 'text') {
+        section.append(parseHtml(item.html));
+      } else {
+        const rows = item.rows.map((row) => row.map((cell) => ({ elems: buildCell(cell) })));
+        const block = buildBlock(item.name, rows);
+        (item.variants || []).forEach((variant) => {
+          block.classList.add(...variant.trim().split(/\s+/));
+        });
+        section.append(block);
+      }
+    });
+    if (sectionDef.metadata && Object.keys(sectionDef.metadata).length) {
+      section.append(buildMetadataBlock('section-metadata', sectionDef.metadata));
+    }
+    main.append(section);
+  });
+  if (doc.metadata && Object.keys(doc.metadata).length) {
+    main.lastElementChild.append(buildMetadataBlock('metadata', doc.metadata));
+  }
+  return main;
+}
+
+/**
+ * Serializes a built document into `.plain.html` markup.
+ * @param {Element} main The main element returned by buildDocument
+ * @returns {string} The markup, one section per line
+ */
+export function toHtml(main) {
+  return [...main.children].map((section) => section.outerHTML).join('\n');
+}
@@ -0,0 +1,164 @@
+/*
+ * Import Structured Content
+ * Validates JSON structured content documents, converts them to block-table
+ * markup and previews the result as a regular page. The preview runs in a frame,
+ * so the site scripts decorate it without touching the tool page. The frame shares
+ * the origin of the tool, the converter strips scripts from the imported markup.
+ */
+
+import { toClassName } from '../../scripts/aem.js';
+import { validate } from './schema.js';
+import { buildDocument, toHtml } from './convert.js';
+
+const documents = [];
+
+/**
+ * Parses and validates a JSON document.
+ * @param {string} name The document name, usually the file name
+ * @param {string} json The raw JSON text
+ * @returns {object} The document entry with either errors or the converted output
+ */
+function processDocument(name, json) {
+  let doc;
+  try {
+    doc = JSON.parse(json);
+  } catch (error) {
+    return { name, errors: [{ path: '', message: `is not valid JSON: ${error.message}` }] };
+  }
+  const errors = validate(doc);
+  if (errors.length) return { name, errors };
+  const main = buildDocument(doc);
+  return {
+    name: doc.path || name,
+    doc,
+    main,
+    html: toHtml(main),
+    errors,
+  };
+}
+
+/**
+ * Builds the page a converted document is served as: the head of the site, the page
+ * metadata as <meta> tags and the sections in main, between a header and a footer.
+ * @param {object} entry The document entry
+ * @returns {string} The page markup
+ */
+function buildPreviewPage({ name, doc, main }) {
+  const page = document.implementation.createHTMLDocument(name);
+  const head = [
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<script src="${window.hlx.codeBasePath}/scripts/aem.js" type="module"></script>`,
+    `<script src="${window.hlx.codeBasePath}/scripts/scripts.js" type="module"></script>`,
+    `<link rel="stylesheet" href="${window.hlx.codeBasePath}/styles/styles.css">`,
+  ];
+  page.head.insertAdjacentHTML('beforeend', head.join(''));
+  Object.entries(doc.metadata || {}).forEach(([key, value]) => {
+    const content = [value].flat().join(', ');
+    if (toClassName(key) === 'title') page.title = content;
+    const meta = page.createElement('meta');
+    meta.name = toClassName(key);
+    meta.content = content;
+    page.head.append(meta);
+  });
+
+  const previewMain = page.importNode(main, true);
+  // page metadata becomes <meta> tags when served, it is not a block
+  previewMain.querySelectorAll(':scope > div > .metadata').forEach((meta) => meta.remove());
+  page.body.append(page.createElement('header'), previewMain, page.createElement('footer'));
+  return `<!DOCTYPE html>\n${page.documentElement.outerHTML}`;
+}
+
+/**
+ * Renders the preview of a converted document in a frame of its own.
+ * @param {object} entry The document entry
+ * @param {Element} container The preview container
+ */
+function renderPreview(entry, container) {
+  const frame = document.createElement('iframe');
+  frame.className = 'import-sc-frame';
+  frame.title = `Preview of ${entry.name}`;
+  frame.srcdoc = buildPreviewPage(entry);
+  container.replaceChildren(frame);
+}
+
+/**
+ * Shows the selected document.
+ * @param {object} entry The document entry
+ */
+function showDocument(entry) {
+  const errorList = document.querySelector('.import-sc-errors');
+  const output = document.querySelector('.import-sc-output');
+  errorList.replaceChildren(...entry.errors.map(({ path, message }) => {
+    const li = document.createElement('li');
+    const code = document.createElement('code');
+    code.textContent = path || '/';
+    li.append(code, ` ${message}`);
+    return li;
+  }));
+  errorList.hidden = !entry.errors.length;
+  output.hidden = !!entry.errors.length;
+  if (entry.errors.length) return;
+
+  document.querySelector('.import-sc-source').textContent = entry.html;
+  renderPreview(entry, document.querySelector('.import-sc-preview'));
+}
+
+/**
+ * Replaces the loaded documents and shows the first one.
+ * @param {Array<{name: string, json: string}>} sources The raw documents
+ */
+function loadDocuments(sources) {
+  const entries = sources.map(({ name, json }) => processDocument(name, json));
+  documents.splice(0, documents.length, ...entries);
+  const select = document.getElementById('import-sc-select');
+  select.replaceChildren(...documents.map((entry, i) => {
+    const option = document.createElement('option');
+    option.value = i;
+    option.textContent = `${entry.name}${entry.errors.length ? ' (invalid)' : ''}`;
+    return option;
+  }));
+  document.querySelector('.import-sc-documents').hidden = documents.length < 2;
+  if (documents.length) showDocument(documents[0]);
+}
+
+function selectedDocument() {
+  return documents[document.getElementById('import-sc-select').value || 0];
+}
+
+function init() {
+  const form = document.querySelector('.import-sc-input');
+  const files = document.getElementById('import-sc-files');
+  const textarea = document.getElementById('import-sc-json');
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const sources = await Promise.all([...files.files].map(async (file) => ({
+      name: file.name,
+      json: await file.text(),
+    })));
+    if (textarea.value.trim()) sources.push({ name: 'pasted document', json: textarea.value });
+    loadDocuments(sources);
+  });
+
+  document.getElementById('import-sc-select').addEventListener('change', () => {
+    showDocument(selectedDocument());
+  });
+
+  document.querySelector('.import-sc-copy').addEventListener('click', async (e) => {
+    await navigator.clipboard.writeText(selectedDocument().html);
+    e.target.textContent = 'Copied';
+    setTimeout(() => { e.target.textContent = 'Copy HTML'; }, 2000);
+  });
+
+  document.querySelector('.import-sc-download').addEventListener('click', () => {
+    const entry = selectedDocument();
+    const name = toClassName(entry.name.replace(/\.json$/, '')) || 'index';
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(new Blob([entry.html], { type: 'text/html' }));
+    a.download = `${name}.plain.html`;
+    a.click();
+    URL.revokeObjectURL(a.href);
+  });
+}
+
+init();
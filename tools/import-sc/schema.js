@@ -0,0 +1,183 @@
+/*
+ * Structured content schema
+ * Describes the JSON documents accepted by the Import Structured Content tool
+ * and validates them against a small subset of JSON Schema.
+ */
+
+const cell = {
+  oneOf: [
+    { type: 'string' },
+    {
+      type: 'object',
+      required: ['text'],
+      properties: { text: { type: 'string' } },
+      additionalProperties: false,
+    },
+    {
+      type: 'object',
+      required: ['html'],
+      properties: { html: { type: 'string' } },
+      additionalProperties: false,
+    },
+    {
+      type: 'object',
+      required: ['image'],
+      properties: { image: { type: 'string', minLength: 1 }, alt: { type: 'string' } },
+      additionalProperties: false,
+    },
+    {
+      type: 'object',
+      required: ['link'],
+      properties: {
+        link: { type: 'string', minLength: 1 },
+        text: { type: 'string' },
+        style: { enum: ['primary', 'secondary'] },
+      },
+      additionalProperties: false,
+    },
+    {
+      type: 'array',
+      items: { $ref: 'cell' },
+    },
+  ],
+};
+
+const metadata = {
+  type: 'object',
+  additionalProperties: { oneOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }] },
+};
+
+const content = {
+  oneOf: [
+    {
+      type: 'object',
+      required: ['type', 'html'],
+      properties: {
+        type: { enum: ['text'] },
+        html: { type: 'string' },
+      },
+      additionalProperties: false,
+    },
+    {
+      type: 'object',
+      required: ['type', 'name', 'rows'],
+      properties: {
+        type: { enum: ['block'] },
+        name: { type: 'string', pattern: '^[a-z][a-z0-9-]*$' },
+        variants: { type: 'array', items: { type: 'string', pattern: '^[a-z0-9][a-z0-9 -]*$' } },
+        rows: {
+          type: 'array',
+          minItems: 1,
+          items: { type: 'array', minItems: 1, items: { $ref: 'cell' } },
+        },
+      },
+      additionalProperties: false,
+    },
+  ],
+};
+
+const schema = {
+  definitions: { cell },
+  type: 'object',
+  required: ['sections'],
+  properties: {
+    path: { type: 'string', pattern: '^/' },
+    metadata,
+    sections: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['content'],
+        properties: {
+          metadata,
+          content: { type: 'array', items: content },
+        },
+        additionalProperties: false,
+      },
+    },
+  },
+  additionalProperties: false,
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Validates a value against a schema node.
+ * @param {*} value The value to validate
+ * @param {object} node The schema node
+ * @param {string} path JSON pointer of the value, used in messages
+ * @param {object} root The root schema, used to resolve $ref
+ * @returns {Array<{path: string, message: string}>} The violations found
+ */
+function check(value, node, path, root) {
+  if (node.$ref) return check(value, root.definitions[node.$ref], path, root);
+
+  if (node.oneOf) {
+    const matches = node.oneOf.filter((option) => !check(value, option, path, root).length);
+    if (matches.length) return [];
+    // report the errors of the closest matching option, by type and `type` discriminator
+    let sameType = node.oneOf.filter((option) => !option.type || option.type === typeOf(value));
+    if (sameType.length > 1 && typeOf(value) === 'object' && value.type) {
+      sameType = sameType.filter((option) => option.properties && option.properties.type
+        && option.properties.type.enum.includes(value.type));
+    }
+    if (sameType.length === 1) return check(value, sameType[0], path, root);
+    return [{ path, message: 'does not match any of the allowed shapes' }];
+  }
+
+  const errors = [];
+  if (node.type && typeOf(value) !== node.type) {
+    return [{ path, message: `must be of type ${node.type}, got ${typeOf(value)}` }];
+  }
+  if (node.enum && !node.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${node.enum.join(', ')}` });
+  }
+  if (typeof value === 'string') {
+    if (node.minLength && value.length < node.minLength) {
+      errors.push({ path, message: 'must not be empty' });
+    }
+    if (node.pattern && !new RegExp(node.pattern).test(value)) {
+      errors.push({ path, message: `must match ${node.pattern}` });
+    }
+  }
+  if (Array.isArray(value)) {
+    if (node.minItems && value.length < node.minItems) {
+      errors.push({ path, message: `must have at least ${node.minItems} item(s)` });
+    }
+    if (node.items) {
+      value.forEach((item, i) => errors.push(...check(item, node.items, `${path}/${i}`, root)));
+    }
+  }
+  if (typeOf(value) === 'object') {
+    const properties = node.properties || {};
+    (node.required || []).forEach((key) => {
+      if (!(key in value)) errors.push({ path, message: `is missing required property "${key}"` });
+    });
+    Object.entries(value).forEach(([key, prop]) => {
+      if (properties[key]) {
+        errors.push(...check(prop, properties[key], `${path}/${key}`, root));
+      } else if (node.additionalProperties === false) {
+        errors.push({ path, message: `has unknown property "${key}"` });
+      } else if (typeof node.additionalProperties === 'object') {
+        errors.push(...check(prop, node.additionalProperties, `${path}/${key}`, root));
+      }
+    });
+  }
+  return errors;
+}
+
+/**
+ * Validates a structured content document.
+ * @param {*} doc The parsed JSON document
+ * @returns {Array<{path: string, message: string}>} The violations, empty if valid
+ */
+export function validate(doc) {
+  return check(doc, schema, '', schema);
+}
+
+export default schema;